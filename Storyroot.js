@@ -3,13 +3,28 @@
 // Global Variables
 let notes = [];
 let folders = [];
+let trash = []; // Soft-deleted notes and folders (see TRASH section)
+let smartFolders = []; // Saved searches shown above the folders (see SMART FOLDERS section)
+let attachments = []; // Pasted/dropped files, blobs included (see ATTACHMENTS section)
 let settings = {
     theme: 'light',
     fontSize: 16,
     fontFamily: 'monospace',
     autoSave: true,
     vimMode: false,
-    lastOpenedNote: null
+    lastOpenedNote: null,
+    recentNotes: [], // Note ids, most recently opened first (quick switcher ranking)
+    recentCommands: [], // Command ids, most recently run first (command palette ranking)
+    keybindings: {}, // Command id → list of key combos, for commands rebound away from their defaults
+    trashRetentionDays: 30, // 0 = keep trashed items forever
+    outlineIncludeEmbeds: false,
+    linkNoteFolder: 'current', // Where notes created from links go: 'current', 'root' or a folder id
+    linkNoteTemplateId: '', // Note whose content seeds notes created from links
+    templatesFolderId: '', // Folder whose notes are offered as templates (see TEMPLATES section)
+    rootTemplateId: '', // Default template for new notes whose folders don't set one
+    propertyTypes: {}, // Frontmatter key → field type chosen in the Properties panel
+    markdownExport: {}, // Last options used in the Markdown ZIP export
+    searchIndexVersion: 0 // Index format the stored search index was built with
 };
 
 let currentNoteId = null;
@@ -22,10 +37,16 @@ let _settingEditorValue = false; // Suppress change events during setValue
 
 // IndexedDB Setup
 const DB_NAME = 'StoryrootDB';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const STORE_NOTES = 'notes';
 const STORE_FOLDERS = 'folders';
 const STORE_SETTINGS = 'settings';
+const STORE_REVISIONS = 'revisions';
+const STORE_TRASH = 'trash';
+const STORE_INDEX_TERMS = 'indexTerms';
+const STORE_INDEX_NOTES = 'indexNotes';
+const STORE_SMART_FOLDERS = 'smartFolders';
+const STORE_ATTACHMENTS = 'attachments';
 let db;
 
 // Modal state
@@ -60,6 +81,36 @@ function openDB() {
             if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
                 db.createObjectStore(STORE_SETTINGS, { keyPath: 'id' });
             }
+            
+            // v2: per-note revision snapshots
+            if (!db.objectStoreNames.contains(STORE_REVISIONS)) {
+                const revisionsStore = db.createObjectStore(STORE_REVISIONS, { keyPath: 'id' });
+                revisionsStore.createIndex('noteId', 'noteId', { unique: false });
+            }
+            
+            // v3: trash for soft-deleted notes and folders
+            if (!db.objectStoreNames.contains(STORE_TRASH)) {
+                db.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+            }
+            
+            // v4: full-text/link index (term → postings, note → its terms)
+            if (!db.objectStoreNames.contains(STORE_INDEX_TERMS)) {
+                db.createObjectStore(STORE_INDEX_TERMS, { keyPath: 'term' });
+            }
+            if (!db.objectStoreNames.contains(STORE_INDEX_NOTES)) {
+                db.createObjectStore(STORE_INDEX_NOTES, { keyPath: 'noteId' });
+            }
+            
+            // v5: saved searches shown as smart folders
+            if (!db.objectStoreNames.contains(STORE_SMART_FOLDERS)) {
+                db.createObjectStore(STORE_SMART_FOLDERS, { keyPath: 'id' });
+            }
+            
+            // v6: attachment blobs (images and files pasted or dropped into notes)
+            if (!db.objectStoreNames.contains(STORE_ATTACHMENTS)) {
+                const attachmentsStore = db.createObjectStore(STORE_ATTACHMENTS, { keyPath: 'id' });
+                attachmentsStore.createIndex('name', 'name', { unique: false });
+            }
         };
 
         request.onsuccess = (e) => {
@@ -79,7 +130,12 @@ async function saveNote(note) {
     return new Promise((resolve, reject) => {
         const tx = db.transaction(STORE_NOTES, 'readwrite');
         tx.objectStore(STORE_NOTES).put(note);
-        tx.oncomplete = () => resolve();
+        tx.oncomplete = () => {
+            indexNote(note);
+            scheduleQueryRefreshForNote(note.id, note); // Query blocks in the preview may list this note
+            scheduleSmartFolderRefresh();
+            resolve();
+        };
         tx.onerror = (e) => reject(e);
     });
 }
@@ -99,7 +155,12 @@ async function deleteNote(id) {
     return new Promise((resolve, reject) => {
         const tx = db.transaction(STORE_NOTES, 'readwrite');
         tx.objectStore(STORE_NOTES).delete(id);
-        tx.oncomplete = () => resolve();
+        tx.oncomplete = () => {
+            unindexNote(id);
+            scheduleQueryRefreshForNote(id, null);
+            scheduleSmartFolderRefresh();
+            resolve();
+        };
         tx.onerror = (e) => reject(e);
     });
 }
@@ -134,6 +195,66 @@ async function deleteFolder(id) {
     });
 }
 
+async function saveSmartFolder(smartFolder) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_SMART_FOLDERS, 'readwrite');
+        tx.objectStore(STORE_SMART_FOLDERS).put(smartFolder);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function loadSmartFolders() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_SMART_FOLDERS, 'readonly');
+        const request = tx.objectStore(STORE_SMART_FOLDERS).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (e) => reject(e);
+    });
+}
+
+async function deleteSmartFolder(id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_SMART_FOLDERS, 'readwrite');
+        tx.objectStore(STORE_SMART_FOLDERS).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function saveAttachment(attachment) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_ATTACHMENTS, 'readwrite');
+        tx.objectStore(STORE_ATTACHMENTS).put(attachment);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function loadAttachments() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_ATTACHMENTS, 'readonly');
+        const request = tx.objectStore(STORE_ATTACHMENTS).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (e) => reject(e);
+    });
+}
+
+async function deleteAttachment(id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_ATTACHMENTS, 'readwrite');
+        tx.objectStore(STORE_ATTACHMENTS).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
 async function saveSettings() {
     if (!db) await openDB();
     return new Promise((resolve, reject) => {
@@ -159,6 +280,124 @@ async function loadSettings() {
     });
 }
 
+async function saveRevision(revision) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_REVISIONS, 'readwrite');
+        tx.objectStore(STORE_REVISIONS).put(revision);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+// Returns a note's revisions, newest first
+async function loadRevisions(noteId) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_REVISIONS, 'readonly');
+        const request = tx.objectStore(STORE_REVISIONS).index('noteId').getAll(noteId);
+        request.onsuccess = () => {
+            const revisions = request.result || [];
+            revisions.sort((a, b) => b.created.localeCompare(a.created));
+            resolve(revisions);
+        };
+        request.onerror = (e) => reject(e);
+    });
+}
+
+async function deleteRevision(id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_REVISIONS, 'readwrite');
+        tx.objectStore(STORE_REVISIONS).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function deleteNoteRevisions(noteId) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_REVISIONS, 'readwrite');
+        const request = tx.objectStore(STORE_REVISIONS).index('noteId').openCursor(noteId);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function saveTrashEntry(entry) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_TRASH, 'readwrite');
+        tx.objectStore(STORE_TRASH).put(entry);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function loadTrash() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_TRASH, 'readonly');
+        const request = tx.objectStore(STORE_TRASH).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (e) => reject(e);
+    });
+}
+
+async function deleteTrashEntry(id) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_TRASH, 'readwrite');
+        tx.objectStore(STORE_TRASH).delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function loadSearchIndexRecords() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_INDEX_TERMS, STORE_INDEX_NOTES], 'readonly');
+        const termsRequest = tx.objectStore(STORE_INDEX_TERMS).getAll();
+        const notesRequest = tx.objectStore(STORE_INDEX_NOTES).getAll();
+        tx.oncomplete = () => resolve({ terms: termsRequest.result || [], notes: notesRequest.result || [] });
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+// Write changed index records in one transaction; null values delete the record
+async function saveSearchIndexRecords(termRecords, noteRecords) {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_INDEX_TERMS, STORE_INDEX_NOTES], 'readwrite');
+        const termsStore = tx.objectStore(STORE_INDEX_TERMS);
+        const notesStore = tx.objectStore(STORE_INDEX_NOTES);
+        termRecords.forEach(([term, record]) => record ? termsStore.put(record) : termsStore.delete(term));
+        noteRecords.forEach(([noteId, record]) => record ? notesStore.put(record) : notesStore.delete(noteId));
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+async function clearSearchIndexRecords() {
+    if (!db) await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_INDEX_TERMS, STORE_INDEX_NOTES], 'readwrite');
+        tx.objectStore(STORE_INDEX_TERMS).clear();
+        tx.objectStore(STORE_INDEX_NOTES).clear();
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
 /* ========== INITIALIZATION ========== */
 
 window.onload = async function() {
@@ -167,10 +406,17 @@ window.onload = async function() {
         await loadSettings();
         notes = await loadNotes();
         folders = await loadFolders();
+        smartFolders = await loadSmartFolders();
+        attachments = await loadAttachments();
+        trash = await loadTrash();
+        notes.forEach(n => _querySignatures.set(n.id, _querySignature(n)));
         
         console.log('Storyroot loaded:', {
             notes: notes.length,
             folders: folders.length,
+            smartFolders: smartFolders.length,
+            attachments: attachments.length,
+            trash: trash.length,
             settings: settings
         });
     } catch (e) {
@@ -207,6 +453,16 @@ window.onload = async function() {
             await saveFolder(folder);
         }
     }
+    
+    // Permanently remove trash older than the retention window
+    await purgeExpiredTrash();
+    
+    // Load the search index and catch it up with notes changed since it was written
+    try {
+        await loadSearchIndex();
+    } catch (e) {
+        console.error('Failed to load search index:', e);
+    }
 
     // Apply saved theme
     if (settings.theme) {
@@ -241,18 +497,28 @@ window.onload = async function() {
     // Apply saved vim mode setting
     const vimModeCheckbox = document.getElementById('vimModeCheckbox');
     if (vimModeCheckbox) vimModeCheckbox.checked = settings.vimMode;
+    
+    // Apply saved outline setting
+    const tocEmbedsCheckbox = document.getElementById('tocEmbedsCheckbox');
+    if (tocEmbedsCheckbox) tocEmbedsCheckbox.checked = settings.outlineIncludeEmbeds;
+    
+    // Apply saved trash retention setting
+    const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+    if (trashRetentionSelect) trashRetentionSelect.value = String(settings.trashRetentionDays);
 
     // Initialize CodeMirror
     initializeCodeMirror();
+    
+    // Links and tags in the rendered preview
+    document.getElementById('markdownPreview').addEventListener('click', handlePreviewClick);
+    initLinkHoverPreviews();
+    initEditorAutocomplete();
+    registerDefaultCommands();
 
-    // Keyboard shortcuts
+    // Keyboard shortcuts come from the command registry (see KEYBINDINGS)
+    initKeybindings();
+    initVimMode();
     document.addEventListener('keydown', (e) => {
-        // F11 or Ctrl+Shift+F → distraction-free
-        if (e.key === 'F11' || ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'f')) {
-            e.preventDefault();
-            toggleDistractionFree();
-        }
-
         // Escape → exit distraction-free if active
         if (e.key === 'Escape' && document.body.classList.contains('distraction-free')) {
             e.preventDefault();
@@ -260,59 +526,9 @@ window.onload = async function() {
             return;
         }
 
-        // Ctrl+S or Cmd+S to save
-        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-            e.preventDefault();
-            saveCurrentNote();
-        }
-        
-        // Ctrl+N or Cmd+N to create new note
-        if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-            e.preventDefault();
-            createNewNote();
-        }
-        
-        // Ctrl+D or Cmd+D to duplicate current note
-        if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-            e.preventDefault();
-            if (currentNoteId) {
-                duplicateNote(currentNoteId);
-            }
-        }
-        
-        // Ctrl+F or Cmd+F to open search panel
-        if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-            e.preventDefault();
-            openSearchPanel();
-        }
-        
-        // Ctrl+H or Cmd+H to open search and replace panel
-        if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
-            e.preventDefault();
-            openSearchPanel(true);
-        }
-        
-        // Formatting shortcuts (only when editor is focused)
-        const editor = document.getElementById('markdownEditor');
-        if (document.activeElement === editor) {
-            // Ctrl+B for bold
-            if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
-                e.preventDefault();
-                insertFormatting('bold');
-            }
-            
-            // Ctrl+I for italic
-            if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
-                e.preventDefault();
-                insertFormatting('italic');
-            }
-            
-            // Ctrl+K for link
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                insertFormatting('link');
-            }
-        }
+        // Keys the editor already handled (a shortcut run from there, or a CodeMirror command)
+        if (e.defaultPrevented) return;
+        handleShortcutKeydown(e);
     });
 
     // Close context menus when clicking outside
@@ -324,6 +540,7 @@ window.onload = async function() {
 
     // Update UI
     renderFileExplorer();
+    renderTrash();
     
     // Set initial view mode to edit
     switchEditorTab('edit');
@@ -358,17 +575,36 @@ function initializeCodeMirror() {
         editor.getWrapperElement().style.fontSize = settings.fontSize + 'px';
     }
     
-    // Handle paste: convert HTML clipboard content to Markdown
+    // Handle paste: store pasted files as attachments, convert HTML clipboard content to Markdown
     editor.on('paste', (cm, e) => {
         const clipboardData = e.clipboardData || window.clipboardData;
         if (!clipboardData) return;
 
+        // A copied image arrives as a file (plus at most an <img> tag); copied text keeps its text
+        const files = Array.from(clipboardData.files || []);
+        if (files.length > 0 && !clipboardData.getData('text/plain')) {
+            e.preventDefault();
+            insertAttachments(files);
+            return;
+        }
+
         const html = clipboardData.getData('text/html');
         if (!html) return; // No HTML — let CodeMirror handle plain-text paste normally
 
         e.preventDefault();
         const markdown = htmlToMarkdown(html);
         cm.getDoc().replaceSelection(markdown);
+        localizePastedImages(markdown);
+    });
+
+    // Dropped files become attachments at the drop point
+    editor.on('drop', (cm, e) => {
+        const files = Array.from((e.dataTransfer && e.dataTransfer.files) || []);
+        if (files.length === 0) return;
+        e.preventDefault();
+        cm.focus();
+        cm.setCursor(cm.coordsChar({ left: e.clientX, top: e.clientY }, 'window'));
+        insertAttachments(files);
     });
 
     // Listen for changes
@@ -553,12 +789,19 @@ function getCodeMirrorTheme() {
 /* ========== NOTE MANAGEMENT ========== */
 
 function createNewNote() {
+    const template = getDefaultTemplate(null);
+    if (template) {
+        openTemplateModal(null, template.id);
+        return;
+    }
+
     const note = {
         id: generateId(),
         title: 'Untitled Note',
         content: '',
         folderId: null,
         tags: [],
+        aliases: [],
         highlights: [],
         order: Date.now(), // Use timestamp for initial ordering
         created: new Date().toISOString(),
@@ -583,12 +826,19 @@ function createNewNote() {
 }
 
 function createNoteInFolder(folderId) {
+    const template = getDefaultTemplate(folderId);
+    if (template) {
+        openTemplateModal(folderId, template.id);
+        return;
+    }
+
     const note = {
         id: generateId(),
         title: 'Untitled Note',
         content: '',
         folderId: folderId,
         tags: [],
+        aliases: [],
         order: Date.now(), // Use timestamp for initial ordering
         created: new Date().toISOString(),
         modified: new Date().toISOString()
@@ -651,6 +901,7 @@ function openNote(noteId) {
     // Always extract fresh tags and links from content for sidebar display
     note.tags = extractTags(note.content || '');
     note.links = extractLinks(note.content || '');
+    note.properties = parseFrontmatter(note.content || '').properties;
     
     // Update UI
     hideEmptyState();
@@ -667,6 +918,7 @@ function openNote(noteId) {
     
     // Save last opened note
     settings.lastOpenedNote = noteId;
+    rememberRecentNote(noteId);
     saveSettings();
 }
 
@@ -720,7 +972,7 @@ function switchToTab(noteId) {
     
     // Save current note (syncs live marker positions → stored offsets, then persists)
     if (currentNoteId && settings.autoSave) {
-        saveCurrentNote(true); // Pass true to skip sidebar update
+        saveCurrentNote(true, true); // Skip sidebar update; counts as an autosave
     } else if (currentNoteId) {
         // Even without auto-save, sync marker positions so they survive the tab switch
         const currentNote = notes.find(n => n.id === currentNoteId);
@@ -737,7 +989,7 @@ function closeTab(noteId, event) {
     
     // Save note before closing if needed
     if (noteId === currentNoteId && settings.autoSave && hasUnsavedChanges) {
-        saveCurrentNote();
+        saveCurrentNote(false, true);
     }
     
     // Remove from open tabs
@@ -762,7 +1014,7 @@ function closeTab(noteId, event) {
     renderTabs();
 }
 
-async function saveCurrentNote(skipSidebarUpdate = false) {
+async function saveCurrentNote(skipSidebarUpdate = false, isAutoSave = false) {
     if (!currentNoteId) return;
     
     const note = notes.find(n => n.id === currentNoteId);
@@ -771,9 +1023,10 @@ async function saveCurrentNote(skipSidebarUpdate = false) {
     note.content = getEditorPlainText();
     note.modified = new Date().toISOString();
     
-    // Extract tags and links
+    // Extract tags, links and frontmatter properties
     note.tags = extractTags(note.content);
     note.links = extractLinks(note.content);
+    note.properties = parseFrontmatter(note.content).properties;
 
     // Sync highlight positions from live CodeMirror markers back to stored offsets
     // (markers self-track as the user types, so this keeps stored indices accurate)
@@ -782,6 +1035,9 @@ async function saveCurrentNote(skipSidebarUpdate = false) {
     await saveNote(note);
     hasUnsavedChanges = false;
     
+    // Snapshot into revision history (autosaves are throttled, explicit saves are not)
+    await recordRevision(note, !isAutoSave);
+    
     // Update UI (skip sidebar update if switching tabs)
     if (!skipSidebarUpdate) {
         updateRightSidebar(note);
@@ -795,7 +1051,7 @@ function deleteNoteById(noteId) {
     deleteTarget = { type: 'note', id: noteId };
     const note = notes.find(n => n.id === noteId);
     document.getElementById('deleteMessage').textContent = 
-        `Are you sure you want to delete "${note.title}"?`;
+        `Move "${note.title}" to the trash?`;
     openDeleteModal();
 }
 
@@ -811,6 +1067,7 @@ async function duplicateNote(noteId) {
         folderId: originalNote.folderId,
         tags: [...(originalNote.tags || [])],
         links: [...(originalNote.links || [])],
+        aliases: [], // Aliases stay with the original so links don't become ambiguous
         order: Date.now(), // New order value
         created: new Date().toISOString(),
         modified: new Date().toISOString()
@@ -828,8 +1085,8 @@ async function confirmDelete() {
     if (!deleteTarget) return;
     
     if (deleteTarget.type === 'note') {
-        await deleteNote(deleteTarget.id);
-        notes = notes.filter(n => n.id !== deleteTarget.id);
+        const note = notes.find(n => n.id === deleteTarget.id);
+        if (note) await trashNote(note);
         
         // Close the tab for this note
         const tabIndex = openTabs.indexOf(deleteTarget.id);
@@ -838,29 +1095,29 @@ async function confirmDelete() {
         }
         
         renderFileExplorer();
-        showToast('Note deleted');
+        showToast('Note moved to trash');
     } else if (deleteTarget.type === 'folder') {
-        // Delete folder and all notes in it (including subfolders)
+        // Move folder and all notes in it (including subfolders) to the trash
         const foldersToDelete = getAllSubfolders(deleteTarget.id);
         foldersToDelete.push(deleteTarget.id);
         
-        // Delete all notes in these folders
+        // Trash all notes in these folders
         const notesToDelete = notes.filter(n => foldersToDelete.includes(n.folderId));
         for (const note of notesToDelete) {
-            await deleteNote(note.id);
+            await trashNote(note);
             // Close tabs for deleted notes
             const tabIndex = openTabs.indexOf(note.id);
             if (tabIndex !== -1) {
                 openTabs.splice(tabIndex, 1);
             }
         }
-        notes = notes.filter(n => !foldersToDelete.includes(n.folderId));
         
-        // Delete all folders
-        for (const folderId of foldersToDelete) {
-            await deleteFolder(folderId);
+        // Trash all folders (paths are captured before any folder is removed)
+        const foldersToTrash = folders.filter(f => foldersToDelete.includes(f.id));
+        const folderPaths = foldersToTrash.map(f => getFolderChain(f.parentFolderId));
+        for (let i = 0; i < foldersToTrash.length; i++) {
+            await trashFolder(foldersToTrash[i], folderPaths[i]);
         }
-        folders = folders.filter(f => !foldersToDelete.includes(f.id));
         
         // Update UI if current note was deleted
         if (currentNoteId && !notes.find(n => n.id === currentNoteId)) {
@@ -875,13 +1132,31 @@ async function confirmDelete() {
         
         renderTabs();
         renderFileExplorer();
-        showToast('Folder deleted');
+        showToast('Folder moved to trash');
+    } else if (deleteTarget.type === 'smartFolder') {
+        // Only the saved search goes; its notes stay where they are
+        smartFolders = smartFolders.filter(f => f.id !== deleteTarget.id);
+        await deleteSmartFolder(deleteTarget.id);
+        renderFileExplorer();
+        showToast('Smart folder deleted');
     }
     
+    renderTrash();
     closeDeleteModal();
     deleteTarget = null;
 }
 
+// Snapshot of the folders from the root down to folderId (inclusive)
+function getFolderChain(folderId) {
+    const chain = [];
+    let currentFolder = folders.find(f => f.id === folderId);
+    while (currentFolder) {
+        chain.unshift({ ...currentFolder });
+        currentFolder = folders.find(f => f.id === currentFolder.parentFolderId);
+    }
+    return chain;
+}
+
 function getAllSubfolders(folderId) {
     const subfolders = [];
     const directChildren = folders.filter(f => f.parentFolderId === folderId);
@@ -962,14 +1237,14 @@ function deleteFolderById(folderId) {
     const subfolders = getAllSubfolders(folderId);
     const subfolderCount = subfolders.length;
     
-    let message = `Are you sure you want to delete "${folder.name}"`;
+    let message = `Move "${folder.name}"`;
     if (subfolderCount > 0) {
         message += `, ${subfolderCount} subfolder(s)`;
     }
     if (noteCount > 0) {
         message += `, and ${noteCount} note(s)`;
     }
-    message += '?';
+    message += ' to the trash?';
     
     document.getElementById('deleteMessage').textContent = message;
     openDeleteModal();
@@ -1349,10 +1624,14 @@ async function handleRootDrop(e) {
 
 function extractTags(content) {
     const tagRegex = /#(\w+)/g;
-    const tags = [];
+    const { properties, body } = parseFrontmatter(content);
+    // Tags listed in frontmatter count too
+    const tags = [].concat(properties.tags || [])
+        .map(tag => String(tag).replace(/^#/, '').trim())
+        .filter((tag, i, all) => /^\w+$/.test(tag) && all.indexOf(tag) === i);
     let match;
     
-    while ((match = tagRegex.exec(content)) !== null) {
+    while ((match = tagRegex.exec(body)) !== null) {
         if (!tags.includes(match[1])) {
             tags.push(match[1]);
         }
@@ -1362,19 +1641,191 @@ function extractTags(content) {
 }
 
 function extractLinks(content) {
-    const linkRegex = /\[\[([^\]]+)\]\]/g;
+    const linkRegex = /(!?)\[\[([^\]]+)\]\]/g;
     const links = [];
     let match;
     
     while ((match = linkRegex.exec(content)) !== null) {
-        if (!links.includes(match[1])) {
-            links.push(match[1]);
+        // ![[image.png]] embeds a file, not a note
+        if (match[1] && isAttachmentEmbed(match[2])) continue;
+        const link = parseWikiLink(match[2]);
+        const target = link.target + formatLinkAnchor(link);
+        if (link.target && !links.includes(target)) {
+            links.push(target);
         }
     }
     
     return links;
 }
 
+/* ========== LINK RESOLUTION ========== */
+
+// Split the inside of [[...]] into its parts:
+//   [[Folder/Sub/Title#Heading|display]] →
+//   { target: 'Folder/Sub/Title', title: 'Title', folderPath: ['Folder', 'Sub'], heading: 'Heading', blockId: '', display: 'display' }
+// [[Title#^block-id]] fills blockId instead of heading.
+function parseWikiLink(raw) {
+    const pipeIndex = raw.indexOf('|');
+    const linkPart = pipeIndex === -1 ? raw : raw.slice(0, pipeIndex);
+    const display = pipeIndex === -1 ? '' : raw.slice(pipeIndex + 1).trim();
+    const hashIndex = linkPart.indexOf('#');
+    const target = (hashIndex === -1 ? linkPart : linkPart.slice(0, hashIndex)).trim();
+    const anchor = hashIndex === -1 ? '' : linkPart.slice(hashIndex + 1).trim();
+    const isBlock = anchor.startsWith('^');
+    const segments = target.split('/').map(seg => seg.trim());
+    return {
+        target,
+        title: segments[segments.length - 1],
+        folderPath: segments.slice(0, -1).filter(seg => seg),
+        heading: isBlock ? '' : anchor,
+        blockId: isBlock ? anchor.slice(1).trim() : '',
+        display
+    };
+}
+
+// The "#Heading" / "#^block-id" suffix of a parsed link, or ''
+function formatLinkAnchor(link) {
+    if (link.blockId) return `#^${link.blockId}`;
+    if (link.heading) return `#${link.heading}`;
+    return '';
+}
+
+// Folder names from the root down to the note's folder
+function getNoteFolderNames(note) {
+    return getFolderChain(note.folderId).map(f => f.name);
+}
+
+function _noteMatchesName(note, name) {
+    const lower = name.toLowerCase();
+    return note.title.toLowerCase() === lower ||
+        (note.aliases || []).some(alias => alias.toLowerCase() === lower);
+}
+
+// Resolve a link target ("Title", "Alias" or "Folder/Title") to a note.
+// Returns { status: 'resolved' | 'ambiguous' | 'broken', note, candidates }.
+// Exact titles win over aliases; anything still tied is reported, never guessed.
+function resolveWikiLink(target) {
+    const link = typeof target === 'string' ? parseWikiLink(target) : target;
+    if (!link.target) return { status: 'broken', note: null, candidates: [] };
+
+    // The whole target may itself be a title containing '/'
+    let candidates = notes.filter(n => _noteMatchesName(n, link.target));
+
+    if (candidates.length === 0 && link.folderPath.length > 0) {
+        const wanted = link.folderPath.map(seg => seg.toLowerCase());
+        candidates = notes.filter(n => {
+            if (!_noteMatchesName(n, link.title)) return false;
+            // Folder path must match the tail of the note's folder chain
+            const names = getNoteFolderNames(n).map(name => name.toLowerCase());
+            if (wanted.length > names.length) return false;
+            const tail = names.slice(names.length - wanted.length);
+            return wanted.every((seg, i) => seg === tail[i]);
+        });
+    }
+
+    if (candidates.length > 1) {
+        const name = (candidates.some(n => n.title.toLowerCase() === link.target.toLowerCase()) ? link.target : link.title).toLowerCase();
+        const byTitle = candidates.filter(n => n.title.toLowerCase() === name);
+        if (byTitle.length > 0) candidates = byTitle;
+    }
+
+    if (candidates.length === 1) return { status: 'resolved', note: candidates[0], candidates };
+    if (candidates.length > 1) return { status: 'ambiguous', note: null, candidates };
+    return { status: 'broken', note: null, candidates };
+}
+
+// "Folder/Sub/Title" — the fully qualified way to link to a note
+function getNoteLinkPath(note) {
+    return [...getNoteFolderNames(note), note.title].join('/');
+}
+
+// A lookup from a bare name to the one note of noteList it links to (or null), by the
+// same rule as resolveWikiLink: an exact title wins over aliases. Built in one pass
+// for callers that resolve many names.
+function createNameResolver(noteList) {
+    const byTitle = new Map();
+    const byName = new Map();
+    const add = (map, name, note) => {
+        if (!map.has(name)) map.set(name, []);
+        map.get(name).push(note);
+    };
+    noteList.forEach(n => {
+        add(byTitle, n.title.toLowerCase(), n);
+        new Set([n.title, ...(n.aliases || [])].map(name => name.toLowerCase())).forEach(name => add(byName, name, n));
+    });
+    return name => {
+        const lower = name.toLowerCase();
+        const candidates = byTitle.get(lower) || byName.get(lower) || [];
+        return candidates.length === 1 ? candidates[0] : null;
+    };
+}
+
+// Notes whose links resolve to the given note
+function getBacklinks(note) {
+    // The index narrows this to notes linking to one of the note's names
+    const sources = getIndexedLinkSources([note.title, ...(note.aliases || [])]);
+    const candidates = sources ? notes.filter(n => sources.has(n.id)) : notes;
+    return candidates.filter(n =>
+        n.links && n.links.some(link => {
+            const result = resolveWikiLink(link);
+            return result.status === 'resolved' && result.note.id === note.id;
+        })
+    );
+}
+
+// sourceNoteId is the note the link is written in; [[#Heading]] points there
+function renderWikiLinkHtml(raw, sourceNoteId = currentNoteId) {
+    const link = parseWikiLink(raw);
+    const result = resolveLinkWithAnchor(link, sourceNoteId);
+    const anchorLabel = link.heading || (link.blockId ? `^${link.blockId}` : '');
+    const label = escapeHtml(link.display || [link.target, anchorLabel].filter(Boolean).join(' › '));
+
+    if (result.status === 'resolved') {
+        const anchorAttrs = (link.heading ? ` data-heading="${escapeAttr(link.heading)}"` : '') +
+            (link.blockId ? ` data-block-id="${escapeAttr(link.blockId)}"` : '');
+        if (!result.anchorFound) {
+            return `<a href="#" class="wiki-link broken" data-note-id="${result.note.id}"${anchorAttrs} title="${escapeAttr(describeMissingAnchor(link, result.note))}">${label}</a>`;
+        }
+        return `<a href="#" class="wiki-link" data-note-id="${result.note.id}"${anchorAttrs}>${label}</a>`;
+    }
+    if (result.status === 'ambiguous') {
+        const paths = result.candidates.map(getNoteLinkPath).join(', ');
+        return `<a href="#" class="wiki-link ambiguous" title="${escapeAttr(`Ambiguous link: matches ${paths}. Use [[Folder/Title]] to pick one.`)}">${label}</a>`;
+    }
+    return `<a href="#" class="wiki-link broken" data-link-target="${escapeAttr(link.target + formatLinkAnchor(link))}" title="Click to create this note">${label}</a>`;
+}
+
+// Delegated clicks for links and tags rendered in the preview
+function handlePreviewClick(e) {
+    const link = e.target.closest('.wiki-link');
+    if (link) {
+        e.preventDefault();
+        if (link.dataset.noteId) {
+            openNoteAtAnchor(link.dataset.noteId, {
+                heading: link.dataset.heading || '',
+                blockId: link.dataset.blockId || ''
+            });
+        } else if (link.classList.contains('ambiguous')) {
+            showToast(link.title);
+        } else if (link.dataset.linkTarget) {
+            createNoteFromLink(link.dataset.linkTarget);
+        }
+        return;
+    }
+
+    const file = e.target.closest('.attachment-file[data-attachment-id]');
+    if (file) {
+        e.preventDefault();
+        downloadAttachment(file.dataset.attachmentId);
+        return;
+    }
+
+    const tag = e.target.closest('.tag[data-tag]');
+    if (tag) {
+        searchByTag(tag.dataset.tag);
+    }
+}
+
 // Track whether the user is actively editing in the preview pane
 let _previewEditing = false;
 let _previewSyncTimer = null;
@@ -1385,26 +1836,7 @@ function updatePreview() {
     
     const preview = document.getElementById('markdownPreview');
     
-    let content = getEditorPlainText();
-    
-    // Process wiki links [[Note Name]]
-    content = content.replace(/\[\[([^\]]+)\]\]/g, (match, linkText) => {
-        const linkedNote = notes.find(n => 
-            n.title.toLowerCase() === linkText.toLowerCase()
-        );
-        const className = linkedNote ? 'wiki-link' : 'wiki-link broken';
-        const onClick = linkedNote ? `onclick="openNote('${linkedNote.id}')"` : '';
-        return `<a href="#" class="${className}" ${onClick}>${linkText}</a>`;
-    });
-    
-    // Process tags #tag
-    content = content.replace(/#(\w+)/g, (match, tag) => {
-        return `<span class="tag" onclick="searchByTag('${tag}')">#${tag}</span>`;
-    });
-    
-    // Convert markdown to HTML
-    const html = marked.parse(content);
-    preview.innerHTML = DOMPurify.sanitize(html);
+    renderMarkdownInto(preview, getEditorPlainText(), currentNoteId ? [currentNoteId] : []);
     
     // Apply highlights to preview
     if (currentNoteId) {
@@ -1419,16 +1851,69 @@ function updatePreview() {
     }
 }
 
-/* ========== PREVIEW EDITABLE MODE ========== */
-
-let _previewInputListener = null;
-
-function _initPreviewEditing() {
-    const preview = document.getElementById('markdownPreview');
-    if (!preview) return;
-
-    // Remove any previously attached listener
-    if (_previewInputListener) {
+// Render note markdown (embeds, wiki links, tags) into a container.
+// embedStack holds the ids of the notes already being rendered, outermost first.
+function renderMarkdownInto(container, markdown, embedStack = []) {
+    // Frontmatter is shown in the Properties panel, not the preview
+    markdown = parseFrontmatter(markdown).body;
+    
+    // Swap query blocks and embeds for placeholders; they are rendered as DOM after sanitizing
+    const queries = [];
+    markdown = markdown.replace(QUERY_BLOCK_REGEX, (match, source) => {
+        queries.push(source);
+        return `\n\n<span class="query-slot" data-query-index="${queries.length - 1}"></span>\n\n`;
+    });
+    const embeds = [];
+    let content = markdown.replace(/!\[\[([^\]]+)\]\]/g, (match, raw) => {
+        embeds.push(raw);
+        return `<span class="embed-slot" data-embed-index="${embeds.length - 1}"></span>`;
+    });
+    
+    // Hide ^block-id anchors at line ends, keeping a target for block links
+    content = content.replace(BLOCK_ANCHOR_REGEX, (match, id) => `<span class="block-anchor" data-block-id="${id}"></span>`);
+    
+    // Process wiki links [[Note Name]], [[Note|display]], [[Folder/Note]], [[Note#Heading]]
+    const sourceNoteId = embedStack.length > 0 ? embedStack[embedStack.length - 1] : currentNoteId;
+    content = content.replace(/\[\[([^\]]+)\]\]/g, (match, linkText) => renderWikiLinkHtml(linkText, sourceNoteId));
+    
+    // Process tags #tag
+    content = content.replace(/#(\w+)/g, (match, tag) => {
+        return `<span class="tag" data-tag="${tag}">#${tag}</span>`;
+    });
+    
+    // Convert markdown to HTML
+    const html = marked.parse(content);
+    container.innerHTML = DOMPurify.sanitize(html);
+    
+    const fillSlot = (slot, element) => {
+        const parent = slot.parentElement;
+        // A block alone in a paragraph takes the paragraph's place
+        if (parent && parent.tagName === 'P' && parent.childNodes.length === 1) {
+            parent.replaceWith(element);
+        } else {
+            slot.replaceWith(element);
+        }
+    };
+    container.querySelectorAll('.embed-slot').forEach(slot => {
+        const raw = embeds[slot.dataset.embedIndex];
+        fillSlot(slot, isAttachmentEmbed(raw) ? buildAttachmentEmbed(raw) : buildEmbedFrame(raw, embedStack));
+    });
+    container.querySelectorAll('.query-slot').forEach(slot => {
+        fillSlot(slot, buildQueryBlock(queries[slot.dataset.queryIndex], embedStack));
+    });
+    resolveAttachmentImages(container);
+}
+
+/* ========== PREVIEW EDITABLE MODE ========== */
+
+let _previewInputListener = null;
+
+function _initPreviewEditing() {
+    const preview = document.getElementById('markdownPreview');
+    if (!preview) return;
+
+    // Remove any previously attached listener
+    if (_previewInputListener) {
         preview.removeEventListener('input', _previewInputListener);
     }
 
@@ -1448,10 +1933,29 @@ function _initPreviewEditing() {
 function _syncPreviewToEditor() {
     const preview = document.getElementById('markdownPreview');
     if (!preview || !editor) return;
-    // Extract plain text from the contenteditable preview
+    // Extract plain text from the contenteditable preview, with embeds, attachments and
+    // query blocks collapsed back to their source so rendered results aren't copied in
+    const frames = Array.from(preview.querySelectorAll('.embed-frame, .query-block, .attachment-embed'))
+        .filter(frame => !frame.parentElement.closest('.embed-frame, .query-block'));
+    const placeholders = frames.map(frame => {
+        const source = frame.classList.contains('query-block')
+            ? `\`\`\`query\n${frame.dataset.query}\n\`\`\``
+            : `![[${frame.dataset.embed}]]`;
+        const placeholder = document.createTextNode(source);
+        frame.replaceWith(placeholder);
+        return placeholder;
+    });
+    // Block anchors render empty; put their ^id source back too
+    const anchors = Array.from(preview.querySelectorAll('.block-anchor'))
+        .filter(anchor => !anchor.closest('.embed-frame'));
+    anchors.forEach(anchor => { anchor.textContent = ` ^${anchor.dataset.blockId}`; });
     const text = preview.innerText || '';
+    anchors.forEach(anchor => { anchor.textContent = ''; });
+    placeholders.forEach((placeholder, i) => placeholder.replaceWith(frames[i]));
+    // The preview doesn't show frontmatter, so carry it over from the editor
+    const frontmatter = parseFrontmatter(editor.getValue()).block;
     const cursor = editor.getCursor();
-    editor.setValue(text);
+    editor.setValue(frontmatter + text);
     // Attempt to restore cursor position
     try { editor.setCursor(cursor); } catch(e) {}
     hasUnsavedChanges = true;
@@ -1673,6 +2177,8 @@ function highlightTextInContainer(container, searchText, color) {
     const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null);
     let node;
     while ((node = walker.nextNode())) {
+        // The host note's highlights don't apply inside embedded notes
+        if (node.parentElement && node.parentElement.closest('.embed-frame')) continue;
         textNodes.push(node);
     }
 
@@ -1709,6 +2215,9 @@ function renderFileExplorer() {
     explorer.addEventListener('dragover', handleRootDragOver);
     explorer.addEventListener('drop', handleRootDrop);
     
+    // Saved searches come first, above the real folders
+    renderSmartFolders(explorer);
+    
     // Render folders hierarchically
     renderFolderTree(null, explorer);
     
@@ -1802,7 +2311,7 @@ function createFolderElement(folder) {
     
     const icon = document.createElement('span');
     icon.className = 'icon';
-    icon.textContent = '📁';
+    icon.textContent = folder.id === settings.templatesFolderId ? '📋' : '📁';
     icon.style.cursor = 'pointer';
     icon.addEventListener('mousedown', (e) => e.stopPropagation());
     icon.addEventListener('dragstart', (e) => { e.preventDefault(); e.stopPropagation(); });
@@ -1864,6 +2373,15 @@ function createFolderElement(folder) {
         <button class="item-action-btn" onclick="event.stopPropagation(); createNoteInFolder('${folder.id}'); closeContextMenus();">
             <span>📄</span> New Note
         </button>
+        <button class="item-action-btn" onclick="event.stopPropagation(); openTemplateModal('${folder.id}'); closeContextMenus();">
+            <span>📋</span> New Note from Template
+        </button>
+        <button class="item-action-btn" onclick="event.stopPropagation(); openFolderTemplateModal('${folder.id}'); closeContextMenus();">
+            <span>🧩</span> Default Template…
+        </button>
+        <button class="item-action-btn" onclick="event.stopPropagation(); openMarkdownExport({ folderId: '${folder.id}' }); closeContextMenus();">
+            <span>📦</span> Export as Markdown…
+        </button>
         <button class="item-action-btn" onclick="event.stopPropagation(); renameItem('folder', '${folder.id}', '${folder.name.replace(/'/g, "\\'")}'); closeContextMenus();">
             <span>✏️</span> Rename
         </button>
@@ -1964,6 +2482,9 @@ function createNoteElement(note, inFolder, folderId) {
         <button class="item-action-btn" onclick="event.stopPropagation(); duplicateNote('${note.id}'); closeContextMenus();">
             <span>📋</span> Duplicate
         </button>
+        <button class="item-action-btn" onclick="event.stopPropagation(); openMarkdownExport({ noteIds: ['${note.id}'] }); closeContextMenus();">
+            <span>📦</span> Export as Markdown…
+        </button>
         <button class="item-action-btn" onclick="event.stopPropagation(); renameItem('note', '${note.id}', '${note.title.replace(/'/g, "\\'")}'); closeContextMenus();">
             <span>✏️</span> Rename
         </button>
@@ -1987,10 +2508,10 @@ function updateActiveNote() {
     });
     
     if (currentNoteId) {
-        const activeEl = document.querySelector(`[data-note-id="${currentNoteId}"]`);
-        if (activeEl) {
-            activeEl.classList.add('active');
-        }
+        // A note can be listed twice: in its folder and under a smart folder
+        document.querySelectorAll(`.file-item[data-note-id="${currentNoteId}"]`).forEach(el => {
+            el.classList.add('active');
+        });
     }
 }
 
@@ -2071,6 +2592,7 @@ function startInlineTitleEdit(crumbEl, note) {
             if (openTabs.includes(note.id)) renderTabs();
             renderFileExplorer();
             showToast('Note renamed');
+            offerLinkRewrite(note, currentTitle);
         }
         // Re-render breadcrumb with latest note data
         const freshNote = notes.find(n => n.id === note.id) || note;
@@ -2109,6 +2631,9 @@ function updateRightSidebar(note) {
     // Update table of contents
     updateTableOfContents(note);
     
+    // Update aliases
+    renderAliases(note);
+    
     // Update tags
     const tagsContainer = document.getElementById('noteTags');
     console.log('Tags container found:', !!tagsContainer);
@@ -2124,20 +2649,45 @@ function updateRightSidebar(note) {
         }
     }
     
+    // Update frontmatter properties
+    renderProperties(note);
+    
     // Update outgoing links
     const linksContainer = document.getElementById('outgoingLinks');
     console.log('Links container found:', !!linksContainer);
     if (linksContainer) {
         if (note.links && note.links.length > 0) {
             console.log('Setting links HTML for', note.links.length, 'links');
-            linksContainer.innerHTML = note.links.map(link => {
-                const linkedNote = notes.find(n => 
-                    n.title.toLowerCase() === link.toLowerCase()
-                );
-                const className = linkedNote ? 'link-item' : 'link-item broken';
-                const onclick = linkedNote ? `onclick="openNote('${linkedNote.id}')"` : '';
-                return `<div class="${className}" ${onclick}>[[${link}]]</div>`;
-            }).join('');
+            linksContainer.innerHTML = '';
+            note.links.forEach(link => {
+                const parsed = parseWikiLink(link);
+                const result = resolveLinkWithAnchor(parsed, note.id);
+                const item = document.createElement('div');
+                const broken = result.status === 'resolved' && !result.anchorFound;
+                item.className = result.status === 'resolved' && !broken ? 'link-item' : `link-item ${broken ? 'broken' : result.status}`;
+                item.textContent = `[[${link}]]`;
+                if (result.status === 'resolved') {
+                    if (broken) item.title = describeMissingAnchor(parsed, result.note);
+                    item.onclick = () => openNoteAtAnchor(result.note.id, parsed);
+                } else if (result.status === 'broken') {
+                    item.title = 'Click to create this note';
+                    item.onclick = () => createNoteFromLink(link);
+                } else if (result.status === 'ambiguous') {
+                    // List every candidate so the user can pick one
+                    item.title = 'Ambiguous link — use [[Folder/Title]] to pick one';
+                    result.candidates.forEach(candidate => {
+                        const choice = document.createElement('div');
+                        choice.className = 'link-candidate';
+                        choice.textContent = getNoteLinkPath(candidate);
+                        choice.onclick = (e) => {
+                            e.stopPropagation();
+                            switchToTab(candidate.id);
+                        };
+                        item.appendChild(choice);
+                    });
+                }
+                linksContainer.appendChild(item);
+            });
         } else {
             console.log('No links, showing empty message');
             linksContainer.innerHTML = '<span class="empty-message">No links</span>';
@@ -2147,19 +2697,20 @@ function updateRightSidebar(note) {
     // Update backlinks
     const backlinksContainer = document.getElementById('backlinks');
     console.log('Backlinks container found:', !!backlinksContainer);
-    const backlinks = notes.filter(n => 
-        n.links && n.links.some(link => 
-            link.toLowerCase() === note.title.toLowerCase()
-        )
-    );
+    const backlinks = getBacklinks(note);
     
     console.log('Found', backlinks.length, 'backlinks');
     
     if (backlinksContainer) {
         if (backlinks.length > 0) {
-            backlinksContainer.innerHTML = backlinks.map(n => 
-                `<div class="link-item" onclick="openNote('${n.id}')">${n.title}</div>`
-            ).join('');
+            backlinksContainer.innerHTML = '';
+            backlinks.forEach(n => {
+                const item = document.createElement('div');
+                item.className = 'link-item';
+                item.textContent = n.title;
+                item.onclick = () => switchToTab(n.id);
+                backlinksContainer.appendChild(item);
+            });
         } else {
             backlinksContainer.innerHTML = '<span class="empty-message">No backlinks</span>';
         }
@@ -2168,6 +2719,12 @@ function updateRightSidebar(note) {
         backlinksContainer.innerHTML = '<span class="empty-message">No backlinks</span>';
     }
     
+    // Update unlinked mentions
+    renderUnlinkedMentions(note);
+    
+    // Update revision history
+    renderHistoryPanel(note);
+    
     console.log('=== updateRightSidebar complete ===');
 }
  
@@ -2429,31 +2986,31 @@ function _onPreviewScroll() {
 /* ========== SEARCH ========== */
 
 function searchNotes() {
-    const query = document.getElementById('searchInput').value.toLowerCase();
+    const query = document.getElementById('searchInput').value.trim();
     
     if (!query) {
         renderFileExplorer();
         return;
     }
     
-    const results = notes.filter(note => 
-        note.title.toLowerCase().includes(query) ||
-        note.content.toLowerCase().includes(query) ||
-        (note.tags && note.tags.some(tag => tag.toLowerCase().includes(query)))
-    );
+    // Operators: tag: folder: title: path: -exclude "phrase" /regex/ created: modified:
+    const parsed = parseSearchQuery(query);
+    const results = parsed.errors.length > 0 ? [] : runSearch(parsed, getSearchCandidates(parsed));
     
     const explorer = document.getElementById('fileExplorer');
     explorer.innerHTML = '';
     
+    if (parsed.errors.length > 0) {
+        explorer.innerHTML = `<div class="search-error">${escapeHtml(parsed.errors.join(' · '))}</div>`;
+        return;
+    }
+    
     if (results.length === 0) {
         explorer.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-tertiary);">No results found</div>';
         return;
     }
     
-    results.forEach(note => {
-        const noteEl = createNoteElement(note, false);
-        explorer.appendChild(noteEl);
-    });
+    renderSearchResults(explorer, results);
 }
 
 function searchByTag(tag) {
@@ -2464,10 +3021,15 @@ function searchByTag(tag) {
 /* ========== SETTINGS ========== */
 
 function openSettingsModal() {
+    populateLinkNoteSettings();
+    populateTemplateSettings();
+    updateSearchIndexStatus();
+    renderKeybindingSettings();
     document.getElementById('settingsModal').classList.add('active');
 }
 
 function closeSettingsModal() {
+    stopRecordingKeybinding();
     document.getElementById('settingsModal').classList.remove('active');
 }
 
@@ -2576,17 +3138,26 @@ function toggleAutoSave() {
 }
 
 function toggleVimMode() {
-    settings.vimMode = document.getElementById('vimModeCheckbox').checked;
+    const checkbox = document.getElementById('vimModeCheckbox');
+    if (checkbox.checked && !CodeMirror.Vim) {
+        checkbox.checked = false;
+        showToast('Vim keymap failed to load');
+        return;
+    }
+    settings.vimMode = checkbox.checked;
     saveSettings();
-    showToast('Vim mode is a planned feature');
+    applyVimMode();
+    showToast(settings.vimMode ? 'Vim mode enabled' : 'Vim mode disabled');
 }
 
 /* ========== IMPORT/EXPORT ========== */
 
-function exportVault() {
+async function exportVault() {
     const data = {
         notes: notes,
         folders: folders,
+        smartFolders: smartFolders,
+        attachments: await Promise.all(attachments.map(serializeAttachment)),
         exportDate: new Date().toISOString()
     };
     
@@ -2623,7 +3194,22 @@ async function importVault(file) {
                 folders = await loadFolders();
             }
             
+            if (data.smartFolders) {
+                for (const smartFolder of data.smartFolders) {
+                    await saveSmartFolder(smartFolder);
+                }
+                smartFolders = await loadSmartFolders();
+            }
+            
+            if (data.attachments) {
+                for (const attachment of data.attachments) {
+                    await saveAttachment(deserializeAttachment(attachment));
+                }
+                attachments = await loadAttachments();
+            }
+            
             renderFileExplorer();
+            if (currentNoteId) updatePreview();
             showToast('Vault imported successfully');
         } catch (error) {
             console.error('Import error:', error);
@@ -2634,29 +3220,32 @@ async function importVault(file) {
 }
 
 async function clearAllData() {
-    if (!confirm('Are you sure you want to delete ALL notes and folders? This cannot be undone!')) {
+    if (!confirm('Move ALL notes and folders to the trash? You can restore them until the trash is emptied.')) {
         return;
     }
     
-    // Clear all notes
-    for (const note of notes) {
-        await deleteNote(note.id);
+    // Trash all notes
+    for (const note of [...notes]) {
+        await trashNote(note);
     }
-    notes = [];
     
-    // Clear all folders
-    for (const folder of folders) {
-        await deleteFolder(folder.id);
+    // Trash all folders (paths are captured before any folder is removed)
+    const folderPaths = folders.map(f => getFolderChain(f.parentFolderId));
+    const allFolders = [...folders];
+    for (let i = 0; i < allFolders.length; i++) {
+        await trashFolder(allFolders[i], folderPaths[i]);
     }
-    folders = [];
     
     currentNoteId = null;
+    openTabs = [];
     if (editor) { editor.setValue(''); };
     
+    renderTabs();
     renderFileExplorer();
+    renderTrash();
     showEmptyState();
     closeSettingsModal();
-    showToast('All data cleared');
+    showToast('All notes moved to trash');
 }
 
 /* ========== RENAME & DELETE MODALS ========== */
@@ -2678,6 +3267,8 @@ function openRenameModal(currentName) {
     if (isCreating) {
         if (renameTarget && renameTarget.type === 'folder') {
             modalTitle.textContent = 'Create Folder';
+        } else if (renameTarget && renameTarget.type === 'smartFolder') {
+            modalTitle.textContent = 'Save Search As';
         } else {
             modalTitle.textContent = 'Create Note';
         }
@@ -2706,9 +3297,12 @@ async function confirmRename() {
         return;
     }
     
+    let renamedNote = null;
+    let oldTitle = null;
     if (renameTarget.type === 'note') {
         const note = notes.find(n => n.id === renameTarget.id);
         if (note) {
+            oldTitle = note.title;
             note.title = newName;
             note.modified = new Date().toISOString();
             await saveNote(note);
@@ -2721,6 +3315,9 @@ async function confirmRename() {
             if (openTabs.includes(note.id)) {
                 renderTabs();
             }
+            
+            // Newly created notes have no inbound links worth rewriting
+            if (!isCreating && oldTitle !== newName) renamedNote = note;
         }
     } else if (renameTarget.type === 'folder') {
         const folder = folders.find(f => f.id === renameTarget.id);
@@ -2728,15 +3325,27 @@ async function confirmRename() {
             folder.name = newName;
             await saveFolder(folder);
         }
+    } else if (renameTarget.type === 'smartFolder') {
+        const smartFolder = smartFolders.find(f => f.id === renameTarget.id);
+        if (smartFolder) {
+            smartFolder.name = newName;
+            await saveSmartFolder(smartFolder);
+        }
     }
     
     renderFileExplorer();
     closeRenameModal();
     showToast('Renamed successfully');
     isCreating = false; // Reset creation flag
+    
+    if (renamedNote) offerLinkRewrite(renamedNote, oldTitle);
 }
 
 function openDeleteModal() {
+    // Saved searches are removed outright; notes and folders go to the trash
+    const permanent = deleteTarget && deleteTarget.type === 'smartFolder';
+    document.getElementById('deleteModalTitle').textContent = permanent ? '🗑️ Delete Smart Folder' : '🗑️ Move to Trash';
+    document.getElementById('deleteConfirmBtn').textContent = permanent ? 'Delete' : 'Move to Trash';
     document.getElementById('deleteModal').classList.add('active');
 }
 
@@ -2847,13 +3456,27 @@ function countWords(text) {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
 }
 
-function showToast(message) {
+let _toastTimer = null;
+
+// action (optional): { label, onClick } rendered as a button inside the toast
+function showToast(message, action) {
     const toast = document.getElementById('toast');
     toast.textContent = message;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action-btn';
+        btn.textContent = action.label;
+        btn.onclick = () => {
+            toast.classList.remove('show');
+            action.onClick();
+        };
+        toast.appendChild(btn);
+    }
     toast.classList.add('show');
-    setTimeout(() => {
+    if (_toastTimer) clearTimeout(_toastTimer);
+    _toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 8000 : 3000);
 }
 
 function showEmptyState() {
@@ -2875,7 +3498,7 @@ function resetAutoSaveTimer() {
     
     autoSaveTimer = setTimeout(() => {
         if (hasUnsavedChanges && currentNoteId) {
-            saveCurrentNote();
+            saveCurrentNote(false, true);
         }
     }, 3000); // Auto-save after 3 seconds of inactivity
 }
@@ -2891,7 +3514,10 @@ function updateTableOfContents(note) {
     }
     
     // Parse headers from markdown content
-    const headers = parseHeaders(note.content);
+    const headers = parseHeaders(note.content, {
+        includeEmbeds: settings.outlineIncludeEmbeds,
+        embedStack: [note.id]
+    });
     
     if (headers.length === 0) {
         tocContainer.innerHTML = '<span class="empty-message">No headers</span>';
@@ -2902,7 +3528,7 @@ function updateTableOfContents(note) {
     tocContainer.innerHTML = '';
     headers.forEach((header, index) => {
         const tocItem = document.createElement('div');
-        tocItem.className = `toc-item level-${header.level}`;
+        tocItem.className = `toc-item level-${header.level}${header.embedded ? ' embedded' : ''}`;
         tocItem.textContent = header.text;
         tocItem.dataset.headerId = `header-${index}`;
         
@@ -2915,17 +3541,34 @@ function updateTableOfContents(note) {
     });
 }
 
-function parseHeaders(markdown) {
+// options.includeEmbeds: also list headings pulled in through ![[...]] embeds
+// (they get embedded: true and the line number of the embed)
+function parseHeaders(markdown, options = {}) {
     const headers = [];
     const lines = markdown.split('\n');
+    // Skip frontmatter, where "# ..." is a YAML comment
+    const firstBodyLine = parseFrontmatter(markdown).block.split('\n').length - 1;
     
     lines.forEach((line, lineNumber) => {
+        if (lineNumber < firstBodyLine) return;
+        
         // Match markdown headers (# Header)
         const match = line.match(/^(#{1,6})\s+(.+)$/);
         if (match) {
             const level = match[1].length; // Number of # symbols
             const text = match[2].trim();
             headers.push({ level, text, lineNumber });
+            return;
+        }
+        
+        if (options.includeEmbeds) {
+            const embedRegex = /!\[\[([^\]]+)\]\]/g;
+            let embed;
+            while ((embed = embedRegex.exec(line)) !== null) {
+                getEmbeddedHeaders(embed[1], options.embedStack || []).forEach(h => {
+                    headers.push({ level: h.level, text: h.text, lineNumber, embedded: true });
+                });
+            }
         }
     });
     
@@ -2939,18 +3582,20 @@ function scrollToHeader(headerIndex) {
     
     if (!note) return;
     
-    // Parse headers to get line numbers
-    const headers = parseHeaders(note.content);
+    // Parse headers to get line numbers (same options as the outline)
+    const includeEmbeds = !!settings.outlineIncludeEmbeds;
+    const headers = parseHeaders(note.content, { includeEmbeds, embedStack: [note.id] });
     const header = headers[headerIndex];
     
     if (!header) return;
     
-    // Scroll and highlight in markdown editor
+    // Scroll and highlight in markdown editor (embedded headings → the embed line)
     scrollToLineInEditor(editor, header.lineNumber);
     
     // Scroll and highlight in preview (only if preview is visible)
     if (currentEditMode !== 'edit') {
-        const previewHeaders = preview.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        const previewHeaders = Array.from(preview.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(h => includeEmbeds || !h.closest('.embed-frame'));
         
         if (previewHeaders[headerIndex]) {
             previewHeaders[headerIndex].scrollIntoView({ 
@@ -3003,12 +3648,28 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone; use this for values inside attribute="..."
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Handle modal clicks
 document.addEventListener('click', (e) => {
     if (e.target.classList.contains('modal')) {
         if (e.target.id === 'renameModal') closeRenameModal();
         if (e.target.id === 'deleteModal') closeDeleteModal();
         if (e.target.id === 'settingsModal') closeSettingsModal();
+        if (e.target.id === 'historyModal') closeHistoryModal();
+        if (e.target.id === 'linkRewriteModal') closeLinkRewriteModal();
+        if (e.target.id === 'graphModal') closeGraphView();
+        if (e.target.id === 'brokenLinksModal') closeBrokenLinksReport();
+        if (e.target.id === 'quickSwitcherModal') closeQuickSwitcher();
+        if (e.target.id === 'commandPaletteModal') closeCommandPalette();
+        if (e.target.id === 'templateModal') closeTemplateModal();
+        if (e.target.id === 'folderTemplateModal') closeFolderTemplateModal();
+        if (e.target.id === 'attachmentsModal') closeAttachmentsManager();
+        if (e.target.id === 'markdownExportModal') closeMarkdownExport();
+        if (e.target.id === 'markdownImportModal') closeMarkdownImport();
     }
 });
 
@@ -3066,6 +3727,7 @@ function updateNoteInMemory() {
     note.modified = new Date().toISOString();
     note.tags = extractTags(note.content);
     note.links = extractLinks(note.content);
+    note.properties = parseFrontmatter(note.content).properties;
     updatePreview();
     resetAutoSaveTimer();
 }
@@ -3079,6 +3741,7 @@ let searchState = {
     matchCase: false,
     wholeWord: false,
     useRegex: false,
+    vaultScope: false,
     markers: [],
     _previewFlatText: '',
     _previewNodeMap: null
@@ -3131,6 +3794,8 @@ function toggleReplaceRow() {
         replaceRow.style.display = 'none';
         replaceToggleBtn.classList.remove('active');
     }
+    // Vault results only show replacements and checkboxes while replacing
+    if (searchState.vaultScope) renderVaultSearchResults();
 }
 
 function closeSearchPanel() {
@@ -3147,6 +3812,7 @@ function closeSearchPanel() {
     searchState.query = '';
     searchState.replaceText = '';
     clearSearchHighlights();
+    clearVaultSearch();
     updateSearchCount();
 }
 
@@ -3177,30 +3843,41 @@ function toggleRegex() {
     }
 }
 
+// Global pattern for the current query and toggles, or null for an invalid regex
+function buildSearchPattern() {
+    const flags = searchState.matchCase ? 'g' : 'gi';
+    try {
+        if (searchState.useRegex) {
+            return new RegExp(searchState.query, flags);
+        }
+        let escapedQuery = searchState.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (searchState.wholeWord) {
+            escapedQuery = '\\b' + escapedQuery + '\\b';
+        }
+        return new RegExp(escapedQuery, flags);
+    } catch (e) {
+        return null;
+    }
+}
+
 function performSearch() {
     const searchInput = document.getElementById('searchTextInput');
     searchState.query = searchInput.value;
     
     clearSearchHighlights();
+
+    if (searchState.vaultScope) {
+        scheduleVaultSearch();
+        return;
+    }
     
     if (!searchState.query) {
         updateSearchCount();
         return;
     }
 
-    // Build search pattern
-    let pattern;
-    try {
-        if (searchState.useRegex) {
-            pattern = new RegExp(searchState.query, searchState.matchCase ? 'g' : 'gi');
-        } else {
-            let escapedQuery = searchState.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            if (searchState.wholeWord) {
-                escapedQuery = '\\b' + escapedQuery + '\\b';
-            }
-            pattern = new RegExp(escapedQuery, searchState.matchCase ? 'g' : 'gi');
-        }
-    } catch (e) {
+    const pattern = buildSearchPattern();
+    if (!pattern) {
         updateSearchCount();
         return;
     }
@@ -3389,6 +4066,12 @@ function clearSearchHighlights() {
 
 function updateSearchCount() {
     const countEl = document.getElementById('searchCount');
+    if (searchState.vaultScope) {
+        countEl.textContent = _vaultSearch.matches.length === 0
+            ? '0/0'
+            : `${_vaultSearch.current + 1}/${_vaultSearch.matches.length}`;
+        return;
+    }
     if (searchState.matches.length === 0) {
         countEl.textContent = '0/0';
     } else {
@@ -3428,6 +4111,10 @@ function jumpToMatch(index) {
 }
 
 function findNext() {
+    if (searchState.vaultScope) {
+        stepVaultMatch(1);
+        return;
+    }
     if (searchState.matches.length === 0) {
         // Only perform search if we don't have matches yet
         performSearch();
@@ -3439,6 +4126,10 @@ function findNext() {
 }
 
 function findPrevious() {
+    if (searchState.vaultScope) {
+        stepVaultMatch(-1);
+        return;
+    }
     if (searchState.matches.length === 0) {
         // Only perform search if we don't have matches yet
         performSearch();
@@ -3452,6 +4143,10 @@ function findPrevious() {
 }
 
 function replaceOne() {
+    if (searchState.vaultScope) {
+        replaceVaultMatches(true);
+        return;
+    }
     if (currentEditMode === 'preview') {
         // In preview mode, switch to edit mode, do replacement, switch back
         _replaceInEditorContent(false);
@@ -3472,6 +4167,10 @@ function replaceOne() {
 }
 
 function replaceAll() {
+    if (searchState.vaultScope) {
+        replaceVaultMatches(false);
+        return;
+    }
     if (currentEditMode === 'preview') {
         _replaceInEditorContent(true);
         return;
@@ -3504,16 +4203,8 @@ function _replaceInEditorContent(replaceAll) {
     const replaceInput = document.getElementById('replaceTextInput');
     const replaceText = replaceInput.value;
     
-    let pattern;
-    try {
-        if (searchState.useRegex) {
-            pattern = new RegExp(searchState.query, (searchState.matchCase ? 'g' : 'gi'));
-        } else {
-            let q = searchState.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            if (searchState.wholeWord) q = '\\b' + q + '\\b';
-            pattern = new RegExp(q, searchState.matchCase ? 'g' : 'gi');
-        }
-    } catch(e) { return; }
+    const pattern = buildSearchPattern();
+    if (!pattern) return;
 
     const content = editor.getValue();
     let count = 0;
@@ -3570,6 +4261,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     if (replaceInput) {
+        replaceInput.addEventListener('input', () => {
+            // Vault results show each match's replacement, so keep them current
+            if (searchState.vaultScope) renderVaultSearchResults();
+        });
+
         replaceInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
@@ -3601,3 +4297,6387 @@ window.replaceAll = replaceAll;
 window.toggleHighlightPicker = toggleHighlightPicker;
 window.applyHighlight = applyHighlight;
 window.removeHighlight = removeHighlight;
+
+/* ========== REVISION HISTORY ========== */
+
+const REVISION_AUTOSAVE_INTERVAL = 5 * 60 * 1000; // Min gap between autosave snapshots
+const REVISION_MAX_PER_NOTE = 50; // Oldest snapshots beyond this are pruned
+
+// Revisions of the current note, newest first (shared by the sidebar and the modal)
+let _historyRevisions = [];
+let _selectedRevisionId = null;
+
+// Store a snapshot of the note's saved state. Unchanged content is never recorded twice;
+// non-forced (autosave) snapshots are throttled to one per REVISION_AUTOSAVE_INTERVAL.
+async function recordRevision(note, force = false) {
+    if (!note) return;
+    const revisions = await loadRevisions(note.id);
+    const latest = revisions[0];
+    const highlights = (note.highlights || []).map(h => ({ ...h }));
+
+    if (latest &&
+        latest.content === note.content &&
+        JSON.stringify(latest.highlights || []) === JSON.stringify(highlights)) {
+        return;
+    }
+    if (!force && latest && Date.now() - new Date(latest.created).getTime() < REVISION_AUTOSAVE_INTERVAL) {
+        return;
+    }
+
+    await saveRevision({
+        id: generateId(),
+        noteId: note.id,
+        title: note.title,
+        content: note.content || '',
+        highlights,
+        created: new Date().toISOString()
+    });
+
+    // Prune beyond the retention limit (the new snapshot takes one slot)
+    for (const old of revisions.slice(REVISION_MAX_PER_NOTE - 1)) {
+        await deleteRevision(old.id);
+    }
+}
+
+async function renderHistoryPanel(note) {
+    const container = document.getElementById('noteHistory');
+    if (!container || !note) return;
+
+    const revisions = await loadRevisions(note.id);
+    // A different note may have been opened while we were loading
+    if (note.id !== currentNoteId) return;
+    _historyRevisions = revisions;
+
+    if (revisions.length === 0) {
+        container.innerHTML = '<span class="empty-message">No revisions yet</span>';
+        return;
+    }
+
+    container.innerHTML = '';
+    revisions.forEach(rev => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.innerHTML = `
+            <span class="history-item-date">${escapeHtml(formatDate(rev.created))}</span>
+            <span class="history-item-words">${countWords(rev.content)} words</span>
+        `;
+        item.onclick = () => openHistoryModal(rev.id);
+        container.appendChild(item);
+    });
+}
+
+function openHistoryModal(revisionId) {
+    if (!currentNoteId || _historyRevisions.length === 0) return;
+    _selectedRevisionId = revisionId || _historyRevisions[0].id;
+    renderHistoryModal();
+    document.getElementById('historyModal').classList.add('active');
+}
+
+function closeHistoryModal() {
+    document.getElementById('historyModal').classList.remove('active');
+    _selectedRevisionId = null;
+}
+
+function renderHistoryModal() {
+    const list = document.getElementById('historyRevisionList');
+    const diffEl = document.getElementById('historyDiff');
+    if (!list || !diffEl) return;
+
+    list.innerHTML = '';
+    _historyRevisions.forEach(rev => {
+        const item = document.createElement('div');
+        item.className = 'history-item' + (rev.id === _selectedRevisionId ? ' active' : '');
+        item.innerHTML = `
+            <span class="history-item-date">${escapeHtml(formatDate(rev.created))}</span>
+            <span class="history-item-words">${countWords(rev.content)} words</span>
+        `;
+        item.onclick = () => {
+            _selectedRevisionId = rev.id;
+            renderHistoryModal();
+        };
+        list.appendChild(item);
+    });
+
+    const revision = _historyRevisions.find(r => r.id === _selectedRevisionId);
+    if (!revision) {
+        diffEl.innerHTML = '<span class="empty-message">Select a revision</span>';
+        return;
+    }
+    renderLineDiff(diffEl, diffLines(revision.content || '', getEditorPlainText()));
+}
+
+// Line-based diff (LCS) from oldText to newText.
+// Returns [{ type: 'same' | 'add' | 'del', text }]
+function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // Trim common prefix/suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+
+    if (midA.length * midB.length > 4000000) {
+        // Too large to diff line-by-line — show as a full replacement
+        midA.forEach(text => result.push({ type: 'del', text }));
+        midB.forEach(text => result.push({ type: 'add', text }));
+    } else {
+        const n = midA.length, m = midB.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) { result.push({ type: 'same', text: midA[i] }); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) { result.push({ type: 'del', text: midA[i] }); i++; }
+            else { result.push({ type: 'add', text: midB[j] }); j++; }
+        }
+        while (i < n) result.push({ type: 'del', text: midA[i++] });
+        while (j < m) result.push({ type: 'add', text: midB[j++] });
+    }
+
+    a.slice(endA).forEach(text => result.push({ type: 'same', text }));
+    return result;
+}
+
+function renderLineDiff(container, diff) {
+    const CONTEXT = 3; // Unchanged lines kept around each change
+    container.innerHTML = '';
+
+    if (!diff.some(d => d.type !== 'same')) {
+        container.innerHTML = '<span class="empty-message">Identical to the current content</span>';
+        return;
+    }
+
+    const isNearChange = (index) => {
+        for (let k = Math.max(0, index - CONTEXT); k <= Math.min(diff.length - 1, index + CONTEXT); k++) {
+            if (diff[k].type !== 'same') return true;
+        }
+        return false;
+    };
+
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped === 0) return;
+        const gap = document.createElement('div');
+        gap.className = 'diff-line diff-gap';
+        gap.textContent = `… ${skipped} unchanged line${skipped !== 1 ? 's' : ''}`;
+        container.appendChild(gap);
+        skipped = 0;
+    };
+
+    diff.forEach((d, index) => {
+        if (d.type === 'same' && !isNearChange(index)) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+        const line = document.createElement('div');
+        line.className = `diff-line diff-${d.type}`;
+        const prefix = d.type === 'add' ? '+ ' : d.type === 'del' ? '- ' : '  ';
+        line.textContent = prefix + d.text;
+        container.appendChild(line);
+    });
+    flushSkipped();
+}
+
+async function restoreRevision() {
+    const revision = _historyRevisions.find(r => r.id === _selectedRevisionId);
+    if (!revision) return;
+    const note = notes.find(n => n.id === revision.noteId);
+    if (!note) return;
+
+    // Snapshot the current state first so the restore itself can be undone
+    if (note.id === currentNoteId) {
+        note.content = getEditorPlainText();
+        syncHighlightPositionsFromMarkers(note);
+    }
+    await recordRevision(note, true);
+
+    note.content = revision.content || '';
+    note.highlights = (revision.highlights || []).map(h => ({ ...h }));
+    note.tags = extractTags(note.content);
+    note.links = extractLinks(note.content);
+    note.modified = new Date().toISOString();
+    await saveNote(note);
+
+    if (note.id === currentNoteId && editor) {
+        _settingEditorValue = true;
+        editor.setValue(note.content);
+        _settingEditorValue = false;
+        applyHighlightMarkers(note);
+        hasUnsavedChanges = false;
+        updatePreview();
+    }
+
+    updateRightSidebar(note);
+    closeHistoryModal();
+    showToast('Revision restored');
+}
+
+// Export history functions
+window.openHistoryModal = openHistoryModal;
+window.closeHistoryModal = closeHistoryModal;
+window.restoreRevision = restoreRevision;
+
+/* ========== TRASH ========== */
+
+let _showingTrash = false;
+
+// Move a note into the trash, remembering its folder path so it can be restored later
+async function trashNote(note) {
+    // Keep unsaved edits of the open note
+    if (note.id === currentNoteId && editor) {
+        note.content = getEditorPlainText();
+        syncHighlightPositionsFromMarkers(note);
+    }
+    const entry = {
+        id: note.id,
+        type: 'note',
+        item: { ...note },
+        folderPath: getFolderChain(note.folderId),
+        deletedAt: new Date().toISOString()
+    };
+    await saveTrashEntry(entry);
+    await deleteNote(note.id);
+    trash.push(entry);
+    notes = notes.filter(n => n.id !== note.id);
+}
+
+// folderPath may be passed in when several folders of one tree are trashed together
+async function trashFolder(folder, folderPath) {
+    const entry = {
+        id: folder.id,
+        type: 'folder',
+        item: { ...folder },
+        folderPath: folderPath || getFolderChain(folder.parentFolderId),
+        deletedAt: new Date().toISOString()
+    };
+    await saveTrashEntry(entry);
+    await deleteFolder(folder.id);
+    trash.push(entry);
+    folders = folders.filter(f => f.id !== folder.id);
+}
+
+// Remove a trash entry for good (revisions of a note go with it)
+async function purgeTrashEntry(entry) {
+    await deleteTrashEntry(entry.id);
+    if (entry.type === 'note') {
+        await deleteNoteRevisions(entry.id);
+    }
+    trash = trash.filter(t => t.id !== entry.id);
+}
+
+// Trashed folder ids nested under folderId, plus folderId itself
+function _getTrashedSubtreeFolderIds(folderId) {
+    const ids = [folderId];
+    for (let i = 0; i < ids.length; i++) {
+        trash
+            .filter(t => t.type === 'folder' && t.item.parentFolderId === ids[i])
+            .forEach(t => ids.push(t.id));
+    }
+    return ids;
+}
+
+// Trash entries contained in a trashed folder's subtree (including the folder itself)
+function _getTrashedSubtree(folderId) {
+    const folderIds = _getTrashedSubtreeFolderIds(folderId);
+    return trash.filter(t =>
+        (t.type === 'folder' && folderIds.includes(t.id)) ||
+        (t.type === 'note' && folderIds.includes(t.item.folderId))
+    );
+}
+
+// Entries that are not nested inside another trashed folder
+function getTopLevelTrashEntries() {
+    const trashedFolderIds = new Set(trash.filter(t => t.type === 'folder').map(t => t.id));
+    return trash
+        .filter(t => {
+            const parentId = t.type === 'note' ? t.item.folderId : t.item.parentFolderId;
+            return !parentId || !trashedFolderIds.has(parentId);
+        })
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Make sure every folder along a stored path exists again, pulling folders back
+// out of the trash or recreating them from the snapshot when they are gone.
+// Returns the id of the deepest folder, or null.
+async function ensureFolderPath(folderPath) {
+    let parentId = null;
+    for (const snapshot of folderPath || []) {
+        if (!folders.find(f => f.id === snapshot.id)) {
+            const trashed = trash.find(t => t.type === 'folder' && t.id === snapshot.id);
+            const folder = trashed ? { ...trashed.item } : { ...snapshot };
+            folder.parentFolderId = parentId;
+            folders.push(folder);
+            await saveFolder(folder);
+            if (trashed) {
+                await deleteTrashEntry(trashed.id);
+                trash = trash.filter(t => t.id !== trashed.id);
+            }
+        }
+        parentId = snapshot.id;
+    }
+    return parentId;
+}
+
+async function restoreTrashEntry(id) {
+    const entry = trash.find(t => t.id === id);
+    if (!entry) return;
+
+    if (entry.type === 'note') {
+        const note = { ...entry.item };
+        note.folderId = await ensureFolderPath(entry.folderPath);
+        notes.push(note);
+        await saveNote(note);
+        await deleteTrashEntry(entry.id);
+        trash = trash.filter(t => t.id !== entry.id);
+    } else {
+        const subtree = _getTrashedSubtree(entry.id);
+        const parentId = await ensureFolderPath(entry.folderPath);
+
+        for (const t of subtree) {
+            if (t.type === 'folder') {
+                const folder = { ...t.item };
+                if (t.id === entry.id) folder.parentFolderId = parentId;
+                folders.push(folder);
+                await saveFolder(folder);
+            } else {
+                const note = { ...t.item };
+                notes.push(note);
+                await saveNote(note);
+            }
+            await deleteTrashEntry(t.id);
+        }
+        const restoredIds = subtree.map(t => t.id);
+        trash = trash.filter(t => !restoredIds.includes(t.id));
+    }
+
+    renderFileExplorer();
+    renderTrash();
+    if (!currentNoteId && entry.type === 'note') openNote(entry.id);
+    showToast(entry.type === 'note' ? 'Note restored' : 'Folder restored');
+}
+
+async function deleteTrashEntryForever(id) {
+    const entry = trash.find(t => t.id === id);
+    if (!entry) return;
+    const label = entry.type === 'note' ? entry.item.title : entry.item.name;
+    if (!confirm(`Permanently delete "${label}"? This cannot be undone!`)) return;
+
+    const entries = entry.type === 'folder' ? _getTrashedSubtree(entry.id) : [entry];
+    for (const t of entries) {
+        await purgeTrashEntry(t);
+    }
+    renderTrash();
+    showToast('Deleted permanently');
+}
+
+async function emptyTrash() {
+    if (trash.length === 0) return;
+    if (!confirm(`Permanently delete ${trash.length} item(s) in the trash? This cannot be undone!`)) return;
+
+    for (const entry of [...trash]) {
+        await purgeTrashEntry(entry);
+    }
+    renderTrash();
+    showToast('Trash emptied');
+}
+
+async function purgeExpiredTrash() {
+    const days = settings.trashRetentionDays;
+    if (!days) return;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const expired = trash.filter(t => new Date(t.deletedAt).getTime() < cutoff);
+    for (const entry of expired) {
+        await purgeTrashEntry(entry);
+    }
+    if (expired.length > 0) {
+        console.log('Purged expired trash entries:', expired.length);
+    }
+}
+
+function changeTrashRetention() {
+    settings.trashRetentionDays = parseInt(document.getElementById('trashRetentionSelect').value) || 0;
+    saveSettings();
+    showToast(settings.trashRetentionDays ? `Trash auto-purges after ${settings.trashRetentionDays} days` : 'Trash auto-purge disabled');
+}
+
+function toggleTrashView() {
+    _showingTrash = !_showingTrash;
+    document.getElementById('fileExplorer').style.display = _showingTrash ? 'none' : '';
+    document.getElementById('trashPanel').classList.toggle('active', _showingTrash);
+    renderTrash();
+}
+
+function renderTrash() {
+    const toggleBtn = document.getElementById('trashToggleBtn');
+    if (toggleBtn) {
+        toggleBtn.textContent = _showingTrash ? '📂 Back to Notes' : `🗑️ Trash${trash.length ? ` (${trash.length})` : ''}`;
+    }
+
+    const list = document.getElementById('trashList');
+    if (!list || !_showingTrash) return;
+
+    const entries = getTopLevelTrashEntries();
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="empty-message trash-empty">Trash is empty</div>';
+        return;
+    }
+
+    list.innerHTML = '';
+    entries.forEach(entry => {
+        const isFolder = entry.type === 'folder';
+        const label = isFolder ? entry.item.name : entry.item.title;
+        const containedCount = isFolder ? _getTrashedSubtree(entry.id).length - 1 : 0;
+        const location = entry.folderPath && entry.folderPath.length > 0
+            ? entry.folderPath.map(f => f.name).join(' / ')
+            : 'Root';
+
+        const div = document.createElement('div');
+        div.className = 'trash-item';
+        div.innerHTML = `
+            <span class="icon">${isFolder ? '📁' : '📄'}</span>
+            <div class="trash-item-info">
+                <span class="item-name" title="${escapeAttr(label)}">${escapeHtml(label)}</span>
+                <span class="trash-item-meta">${escapeHtml(location)}${containedCount ? ` · ${containedCount} item(s)` : ''} · ${escapeHtml(formatDate(entry.deletedAt))}</span>
+            </div>
+            <button class="trash-action-btn" title="Restore">↩</button>
+            <button class="trash-action-btn danger" title="Delete forever">✕</button>
+        `;
+        const [restoreBtn, deleteBtn] = div.querySelectorAll('.trash-action-btn');
+        restoreBtn.onclick = () => restoreTrashEntry(entry.id);
+        deleteBtn.onclick = () => deleteTrashEntryForever(entry.id);
+        list.appendChild(div);
+    });
+}
+
+// Export trash functions
+window.toggleTrashView = toggleTrashView;
+window.restoreTrashEntry = restoreTrashEntry;
+window.deleteTrashEntryForever = deleteTrashEntryForever;
+window.emptyTrash = emptyTrash;
+window.changeTrashRetention = changeTrashRetention;
+
+/* ========== BATCH NOTE EDITS ========== */
+
+// Last multi-note edit, kept so it can be undone as one operation
+// { label, states: [{ noteId, before: { content, highlights }, after }] }
+let _lastBatchEdit = null;
+
+// Content of a note as the user currently sees it (the editor wins for the open note)
+function getLiveNoteContent(note) {
+    return note.id === currentNoteId && editor ? getEditorPlainText() : (note.content || '');
+}
+
+// Map an offset in the old content through a sorted list of edits
+function _mapIndexThroughEdits(index, edits) {
+    let delta = 0;
+    for (const edit of edits) {
+        if (index < edit.from) break;
+        if (index < edit.to) return edit.from + delta + Math.min(index - edit.from, edit.text.length);
+        delta += edit.text.length - (edit.to - edit.from);
+    }
+    return index + delta;
+}
+
+// Replace ranges in a note's content, keeping highlight offsets (and the editor, if the
+// note is open) in step. edits: [{ from, to, text }] against the live content, non-overlapping.
+function applyNoteEdits(note, edits) {
+    const isOpen = note.id === currentNoteId && editor;
+    let cursorIndex = 0;
+    if (isOpen) {
+        note.content = getEditorPlainText();
+        syncHighlightPositionsFromMarkers(note);
+        cursorIndex = editor.getDoc().indexFromPos(editor.getCursor());
+    }
+
+    const sorted = [...edits].sort((a, b) => a.from - b.from);
+    let content = note.content || '';
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const edit = sorted[i];
+        content = content.slice(0, edit.from) + edit.text + content.slice(edit.to);
+    }
+
+    (note.highlights || []).forEach(h => {
+        h.from = _mapIndexThroughEdits(h.from, sorted);
+        h.to = _mapIndexThroughEdits(h.to, sorted);
+    });
+    _setNoteContent(note, content, isOpen ? _mapIndexThroughEdits(cursorIndex, sorted) : null);
+}
+
+// Swap in new content for a note and refresh derived fields and the editor
+function _setNoteContent(note, content, cursorIndex) {
+    note.content = content;
+    note.tags = extractTags(content);
+    note.links = extractLinks(content);
+    note.modified = new Date().toISOString();
+
+    if (note.id === currentNoteId && editor) {
+        const doc = editor.getDoc();
+        const cursor = cursorIndex !== null && cursorIndex !== undefined ? cursorIndex : doc.indexFromPos(editor.getCursor());
+        _settingEditorValue = true;
+        editor.setValue(content);
+        _settingEditorValue = false;
+        doc.setCursor(doc.posFromIndex(Math.min(cursor, content.length)));
+        applyHighlightMarkers(note);
+        hasUnsavedChanges = false;
+        updatePreview();
+    }
+}
+
+// changes: [{ note, edits }] — applies, saves and offers an Undo toast
+async function applyBatchEdits(changes, label) {
+    const states = [];
+    for (const { note, edits } of changes) {
+        if (edits.length === 0) continue;
+        if (note.id === currentNoteId) syncHighlightPositionsFromMarkers(note);
+        const before = {
+            content: getLiveNoteContent(note),
+            highlights: (note.highlights || []).map(h => ({ ...h }))
+        };
+        applyNoteEdits(note, edits);
+        await saveNote(note);
+        states.push({ noteId: note.id, before, after: note.content });
+    }
+    if (states.length === 0) return 0;
+
+    _lastBatchEdit = { label, states };
+    _refreshAfterBatchEdit();
+    showToast(label, { label: 'Undo', onClick: undoLastBatchEdit });
+    return states.length;
+}
+
+async function undoLastBatchEdit() {
+    if (!_lastBatchEdit) {
+        showToast('Nothing to undo');
+        return;
+    }
+    const batch = _lastBatchEdit;
+    _lastBatchEdit = null;
+
+    let skipped = 0;
+    for (const state of batch.states) {
+        const note = notes.find(n => n.id === state.noteId);
+        // Leave notes alone that were edited again after the batch
+        if (!note || getLiveNoteContent(note) !== state.after) {
+            skipped++;
+            continue;
+        }
+        note.highlights = state.before.highlights.map(h => ({ ...h }));
+        _setNoteContent(note, state.before.content);
+        await saveNote(note);
+    }
+
+    _refreshAfterBatchEdit();
+    showToast(skipped > 0
+        ? `Undone (${skipped} note${skipped !== 1 ? 's' : ''} changed since, left as is)`
+        : 'Undone');
+}
+
+function _refreshAfterBatchEdit() {
+    renderFileExplorer();
+    const current = notes.find(n => n.id === currentNoteId);
+    if (current) updateRightSidebar(current);
+}
+
+/* ========== RENAME LINK PROPAGATION ========== */
+
+// { noteId, oldTitle, newTitle, changes: [{ note, edits }] }
+let _pendingLinkRewrite = null;
+
+// Whether a link resolved to note while it was still called oldTitle
+function _linkedBeforeRename(link, note, oldTitle) {
+    const newTitle = note.title;
+    note.title = oldTitle;
+    try {
+        const result = resolveWikiLink(link);
+        return result.status === 'resolved' && result.note.id === note.id;
+    } finally {
+        note.title = newTitle;
+    }
+}
+
+// Every link in content that pointed at the renamed note by its old title ([[Old]],
+// [[Folder/Old]], [[Old|text]]) as edits that retarget it to the new title, keeping any
+// folder prefix and display text. Links that meant another note with the old title, or
+// that were ambiguous, are left alone, as are links through an alias.
+function findWikiLinkEdits(content, note, oldTitle) {
+    const edits = [];
+    const linkRegex = /\[\[([^\]]+)\]\]/g;
+    let match;
+    while ((match = linkRegex.exec(content)) !== null) {
+        const link = parseWikiLink(match[1]);
+        if (link.title.toLowerCase() !== oldTitle.toLowerCase()) continue;
+        if (!_linkedBeforeRename(link, note, oldTitle)) continue;
+        const target = [...link.folderPath, note.title].join('/') + formatLinkAnchor(link);
+        edits.push({
+            from: match.index,
+            to: match.index + match[0].length,
+            text: `[[${target}${link.display ? '|' + link.display : ''}]]`
+        });
+    }
+    return edits;
+}
+
+// After a note rename, offer to rewrite [[Old Title]] links in every other note
+function offerLinkRewrite(note, oldTitle) {
+    if (!oldTitle || oldTitle.toLowerCase() === note.title.toLowerCase()) return;
+
+    const changes = notes
+        .filter(n => n.id !== note.id)
+        .map(n => ({ note: n, edits: findWikiLinkEdits(getLiveNoteContent(n), note, oldTitle) }))
+        .filter(c => c.edits.length > 0);
+    if (changes.length === 0) return;
+
+    _pendingLinkRewrite = { noteId: note.id, oldTitle, newTitle: note.title, changes };
+
+    const total = changes.reduce((sum, c) => sum + c.edits.length, 0);
+    document.getElementById('linkRewriteMessage').textContent =
+        `${total} link${total !== 1 ? 's' : ''} to "${oldTitle}" in ${changes.length} note${changes.length !== 1 ? 's' : ''} will point to "${note.title}".`;
+
+    const list = document.getElementById('linkRewriteList');
+    list.innerHTML = '';
+    changes.forEach(({ note: n, edits }) => {
+        const content = getLiveNoteContent(n);
+        const first = edits[0];
+        const lineStart = content.lastIndexOf('\n', first.from - 1) + 1;
+        const lineEnd = content.indexOf('\n', first.to);
+        const line = content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd).trim();
+
+        const item = document.createElement('div');
+        item.className = 'link-rewrite-item';
+        item.innerHTML = `
+            <div class="link-rewrite-title">📄 ${escapeHtml(n.title)} <span class="link-rewrite-count">${edits.length}</span></div>
+            <div class="link-rewrite-snippet">${escapeHtml(line.length > 160 ? line.slice(0, 160) + '…' : line)}</div>
+        `;
+        list.appendChild(item);
+    });
+
+    document.getElementById('linkRewriteModal').classList.add('active');
+}
+
+function closeLinkRewriteModal() {
+    document.getElementById('linkRewriteModal').classList.remove('active');
+    _pendingLinkRewrite = null;
+}
+
+async function confirmLinkRewrite() {
+    if (!_pendingLinkRewrite) return;
+    const { noteId, oldTitle, changes } = _pendingLinkRewrite;
+    closeLinkRewriteModal();
+    const renamed = notes.find(n => n.id === noteId);
+    if (!renamed) return;
+
+    // Recompute against live content in case anything changed while the prompt was open
+    const fresh = changes.map(({ note }) => ({
+        note,
+        edits: findWikiLinkEdits(getLiveNoteContent(note), renamed, oldTitle)
+    }));
+    const count = await applyBatchEdits(fresh, `Updated links in ${fresh.filter(c => c.edits.length).length} note(s)`);
+    if (!count) showToast('No links to update');
+}
+
+// Export link rewrite functions
+window.closeLinkRewriteModal = closeLinkRewriteModal;
+window.confirmLinkRewrite = confirmLinkRewrite;
+window.undoLastBatchEdit = undoLastBatchEdit;
+
+/* ========== ALIASES ========== */
+
+function renderAliases(note) {
+    const container = document.getElementById('noteAliases');
+    if (!container) return;
+
+    const aliases = note.aliases || [];
+    if (aliases.length === 0) {
+        container.innerHTML = '<span class="empty-message">No aliases</span>';
+        return;
+    }
+
+    container.innerHTML = '';
+    aliases.forEach(alias => {
+        const chip = document.createElement('span');
+        chip.className = 'alias-chip';
+        chip.textContent = alias;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'alias-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove alias';
+        removeBtn.onclick = () => removeAlias(alias);
+
+        chip.appendChild(removeBtn);
+        container.appendChild(chip);
+    });
+}
+
+async function addAlias(alias) {
+    const note = notes.find(n => n.id === currentNoteId);
+    alias = (alias || '').trim();
+    if (!note || !alias) return;
+
+    if (!note.aliases) note.aliases = [];
+    if (alias.toLowerCase() === note.title.toLowerCase() ||
+        note.aliases.some(a => a.toLowerCase() === alias.toLowerCase())) {
+        showToast('Alias already exists');
+        return;
+    }
+    if (/[\[\]|#]/.test(alias)) {
+        showToast('Aliases cannot contain [ ] | or #');
+        return;
+    }
+
+    note.aliases.push(alias);
+    note.modified = new Date().toISOString();
+    await saveNote(note);
+
+    // Links elsewhere may resolve differently now
+    updatePreview();
+    updateRightSidebar(note);
+
+    const clash = notes.find(n => n.id !== note.id && _noteMatchesName(n, alias));
+    showToast(clash ? `Alias added — also matches "${clash.title}", links to it will be ambiguous` : 'Alias added');
+}
+
+async function removeAlias(alias) {
+    const note = notes.find(n => n.id === currentNoteId);
+    if (!note || !note.aliases) return;
+
+    note.aliases = note.aliases.filter(a => a !== alias);
+    note.modified = new Date().toISOString();
+    await saveNote(note);
+    updatePreview();
+    updateRightSidebar(note);
+    showToast('Alias removed');
+}
+
+function handleAliasInputKeydown(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addAlias(e.target.value);
+        e.target.value = '';
+    }
+}
+
+// Export alias functions
+window.addAlias = addAlias;
+window.removeAlias = removeAlias;
+window.handleAliasInputKeydown = handleAliasInputKeydown;
+
+/* ========== EMBEDS ========== */
+
+const MAX_EMBED_DEPTH = 4; // Nested embeds beyond this are not expanded
+
+// Why a note can't be embedded at this point, or null if it can
+function _getEmbedBlocker(note, embedStack) {
+    if (embedStack.includes(note.id)) return `"${note.title}" is already shown above (embed cycle)`;
+    if (embedStack.length > MAX_EMBED_DEPTH) return 'Embeds nested too deeply';
+    return null;
+}
+
+// The lines of a heading's section: from the heading to the next heading of the same or higher level
+function getHeadingSection(content, heading) {
+    const headers = parseHeaders(content);
+    const index = headers.findIndex(h => h.text.toLowerCase() === heading.trim().toLowerCase());
+    if (index === -1) return null;
+
+    const start = headers[index];
+    const next = headers.slice(index + 1).find(h => h.level <= start.level);
+    const lines = content.split('\n');
+    return lines.slice(start.lineNumber, next ? next.lineNumber : lines.length).join('\n');
+}
+
+// Resolve an embed to { note, content } or { error }
+function resolveEmbed(raw, embedStack) {
+    const link = parseWikiLink(raw);
+    const result = resolveWikiLink(link);
+    if (result.status === 'ambiguous') return { link, error: `Ambiguous embed: ${link.target}` };
+    if (result.status === 'broken') return { link, error: `Note not found: ${link.target}` };
+
+    const note = result.note;
+    const blocker = _getEmbedBlocker(note, embedStack);
+    if (blocker) return { link, note, error: blocker };
+
+    let content = getLiveNoteContent(note);
+    if (link.heading) {
+        content = getHeadingSection(content, link.heading);
+        if (content === null) return { link, note, error: `Heading not found: ${link.heading}` };
+    } else if (link.blockId) {
+        content = getBlockText(content, link.blockId);
+        if (content === null) return { link, note, error: `Block not found: ^${link.blockId}` };
+    }
+    return { link, note, content };
+}
+
+function buildEmbedFrame(raw, embedStack) {
+    const embed = resolveEmbed(raw, embedStack);
+
+    const frame = document.createElement('div');
+    frame.className = 'embed-frame';
+    frame.dataset.embed = raw;
+    frame.contentEditable = 'false';
+
+    const header = document.createElement('div');
+    header.className = 'embed-header';
+    if (embed.note) {
+        const source = document.createElement('a');
+        source.href = '#';
+        source.className = 'wiki-link embed-source';
+        source.dataset.noteId = embed.note.id;
+        if (embed.link.heading) source.dataset.heading = embed.link.heading;
+        if (embed.link.blockId) source.dataset.blockId = embed.link.blockId;
+        const anchorLabel = embed.link.heading || (embed.link.blockId ? `^${embed.link.blockId}` : '');
+        source.textContent = embed.note.title + (anchorLabel ? ` › ${anchorLabel}` : '');
+        source.title = 'Open source note';
+        header.appendChild(source);
+    } else {
+        header.textContent = embed.link.target;
+    }
+    frame.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'embed-body';
+    if (embed.error) {
+        frame.classList.add('embed-error');
+        body.textContent = embed.error;
+    } else {
+        renderMarkdownInto(body, embed.content, [...embedStack, embed.note.id]);
+    }
+    frame.appendChild(body);
+
+    return frame;
+}
+
+// Headings contributed by an embed, following the same rules as the preview
+function getEmbeddedHeaders(raw, embedStack) {
+    const embed = resolveEmbed(raw, embedStack);
+    if (embed.error) return [];
+    return parseHeaders(embed.content, { includeEmbeds: true, embedStack: [...embedStack, embed.note.id] });
+}
+
+function toggleOutlineEmbeds() {
+    settings.outlineIncludeEmbeds = document.getElementById('tocEmbedsCheckbox').checked;
+    saveSettings();
+    const note = notes.find(n => n.id === currentNoteId);
+    if (note) updateTableOfContents({ ...note, content: getEditorPlainText() });
+}
+
+// Export embed functions
+window.toggleOutlineEmbeds = toggleOutlineEmbeds;
+
+/* ========== HEADING & BLOCK LINKS ========== */
+
+// A trailing " ^block-id" marks the line's block as a link target
+const BLOCK_ANCHOR_REGEX = /[ \t]\^([A-Za-z0-9-]+)[ \t]*$/gm;
+
+// Line number of a heading (case-insensitive), or -1
+function findHeadingLine(content, heading) {
+    const wanted = heading.trim().toLowerCase();
+    const header = parseHeaders(content).find(h => h.text.toLowerCase() === wanted);
+    return header ? header.lineNumber : -1;
+}
+
+// Line number carrying a ^block-id anchor, or -1
+function findBlockLine(content, blockId) {
+    const lines = content.split('\n');
+    return lines.findIndex(line => {
+        const match = line.match(/[ \t]\^([A-Za-z0-9-]+)[ \t]*$/);
+        return match && match[1] === blockId;
+    });
+}
+
+// The paragraph (or list item / line) a block anchor belongs to, without the anchor
+function getBlockText(content, blockId) {
+    const lines = content.split('\n');
+    const line = findBlockLine(content, blockId);
+    if (line === -1) return null;
+
+    let start = line;
+    // List items and headings stand alone; plain paragraphs extend up to the blank line
+    if (!/^\s*([-*+]|\d+\.|#{1,6})\s/.test(lines[line])) {
+        while (start > 0 && lines[start - 1].trim() !== '' && !/^\s*([-*+]|\d+\.|#{1,6})\s/.test(lines[start - 1])) start--;
+    }
+    return lines.slice(start, line + 1).join('\n').replace(BLOCK_ANCHOR_REGEX, '');
+}
+
+// Line the link's #heading / #^block points at: null without an anchor, -1 when missing
+function findAnchorLine(content, link) {
+    if (link.heading) return findHeadingLine(content, link.heading);
+    if (link.blockId) return findBlockLine(content, link.blockId);
+    return null;
+}
+
+// resolveWikiLink plus the anchor check; [[#Heading]] resolves within sourceNoteId.
+// Adds anchorFound (true when there is no anchor) and anchorLine.
+function resolveLinkWithAnchor(link, sourceNoteId) {
+    let result;
+    if (!link.target && (link.heading || link.blockId)) {
+        const source = notes.find(n => n.id === sourceNoteId);
+        result = source
+            ? { status: 'resolved', note: source, candidates: [source] }
+            : { status: 'broken', note: null, candidates: [] };
+    } else {
+        result = resolveWikiLink(link);
+    }
+    if (result.status !== 'resolved') return { ...result, anchorFound: false, anchorLine: -1 };
+
+    const anchorLine = findAnchorLine(getLiveNoteContent(result.note), link);
+    return { ...result, anchorFound: anchorLine !== -1, anchorLine };
+}
+
+function describeMissingAnchor(link, note) {
+    return link.blockId
+        ? `Block ^${link.blockId} not found in "${note.title}"`
+        : `Heading "${link.heading}" not found in "${note.title}"`;
+}
+
+// Open a note and scroll the editor and preview to a heading or block
+function openNoteAtAnchor(noteId, anchor = {}) {
+    if (noteId !== currentNoteId) switchToTab(noteId);
+    if (noteId !== currentNoteId) return;
+    if (!anchor.heading && !anchor.blockId) return;
+
+    const line = findAnchorLine(getEditorPlainText(), anchor);
+    if (line === -1) {
+        showToast(describeMissingAnchor(anchor, notes.find(n => n.id === noteId)));
+        return;
+    }
+
+    scrollToLineInEditor(editor, line);
+    if (currentEditMode !== 'edit') {
+        const target = findPreviewAnchorElement(anchor);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            target.classList.add('anchor-flash');
+            setTimeout(() => target.classList.remove('anchor-flash'), 1200);
+        }
+    }
+}
+
+// Rendered element for a heading or block anchor in the note's own preview (not its embeds)
+function findPreviewAnchorElement(anchor) {
+    const preview = document.getElementById('markdownPreview');
+    if (anchor.blockId) {
+        const marker = Array.from(preview.querySelectorAll('.block-anchor'))
+            .find(el => el.dataset.blockId === anchor.blockId && !el.closest('.embed-frame'));
+        return marker ? marker.closest('p, li, blockquote, h1, h2, h3, h4, h5, h6') || marker.parentElement : null;
+    }
+
+    // Preview headings line up one-to-one with parseHeaders
+    const index = parseHeaders(getEditorPlainText()).findIndex(h => h.text.toLowerCase() === anchor.heading.trim().toLowerCase());
+    const headings = Array.from(preview.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+        .filter(h => !h.closest('.embed-frame'));
+    return index === -1 ? null : headings[index] || null;
+}
+
+// Export heading & block link functions
+window.openNoteAtAnchor = openNoteAtAnchor;
+
+/* ========== GRAPH VIEW ========== */
+
+const GRAPH_MAX_ITERATIONS = 600; // Layout settles and stops after this many frames
+
+let _graph = null;           // { nodes, edges, byId }
+let _graphFrame = null;      // requestAnimationFrame id while the layout runs
+let _graphAlpha = 0;         // Layout "temperature"; the simulation stops when it cools
+let _graphIterations = 0;
+let _graphView = { scale: 1, x: 0, y: 0 };
+let _graphPointer = null;    // Active drag: { node, startX, startY, moved, panX, panY }
+let _graphHover = null;
+let _graphOptions = {
+    local: false,
+    depth: 1,
+    showTags: false,
+    showFolders: false,
+    folderId: '',
+    tag: ''
+};
+
+function openGraphView() {
+    document.getElementById('graphModal').classList.add('active');
+    _populateGraphFilters();
+    _syncGraphControls();
+    _graphView = { scale: 1, x: 0, y: 0 };
+    rebuildGraph();
+}
+
+function closeGraphView() {
+    document.getElementById('graphModal').classList.remove('active');
+    _stopGraphLayout();
+    _graph = null;
+    _graphHover = null;
+}
+
+function _populateGraphFilters() {
+    const folderSelect = document.getElementById('graphFolderFilter');
+    folderSelect.innerHTML = '<option value="">All folders</option>';
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            folderSelect.appendChild(option);
+        });
+
+    const tagSelect = document.getElementById('graphTagFilter');
+    tagSelect.innerHTML = '<option value="">All tags</option>';
+    const tags = new Set();
+    notes.forEach(n => (n.tags || []).forEach(tag => tags.add(tag)));
+    [...tags].sort().forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = '#' + tag;
+        tagSelect.appendChild(option);
+    });
+
+    // Drop filters that point at folders or tags that no longer exist
+    if (!folders.some(f => f.id === _graphOptions.folderId)) _graphOptions.folderId = '';
+    if (!tags.has(_graphOptions.tag)) _graphOptions.tag = '';
+}
+
+function _syncGraphControls() {
+    document.getElementById('graphLocalCheckbox').checked = _graphOptions.local;
+    document.getElementById('graphDepthSelect').value = String(_graphOptions.depth);
+    document.getElementById('graphDepthSelect').disabled = !_graphOptions.local;
+    document.getElementById('graphTagsCheckbox').checked = _graphOptions.showTags;
+    document.getElementById('graphFoldersCheckbox').checked = _graphOptions.showFolders;
+    document.getElementById('graphFolderFilter').value = _graphOptions.folderId;
+    document.getElementById('graphTagFilter').value = _graphOptions.tag;
+}
+
+function updateGraphOptions() {
+    _graphOptions = {
+        local: document.getElementById('graphLocalCheckbox').checked,
+        depth: parseInt(document.getElementById('graphDepthSelect').value, 10) || 1,
+        showTags: document.getElementById('graphTagsCheckbox').checked,
+        showFolders: document.getElementById('graphFoldersCheckbox').checked,
+        folderId: document.getElementById('graphFolderFilter').value,
+        tag: document.getElementById('graphTagFilter').value
+    };
+    _syncGraphControls();
+    rebuildGraph();
+}
+
+// Nodes are notes (plus tags/folders when enabled); edges are resolved wiki links
+function buildGraphData(options) {
+    let visibleNotes = notes;
+    if (options.folderId) {
+        const folderIds = new Set([options.folderId, ...getAllSubfolders(options.folderId)]);
+        visibleNotes = visibleNotes.filter(n => folderIds.has(n.folderId));
+    }
+    if (options.tag) {
+        visibleNotes = visibleNotes.filter(n => (n.tags || []).includes(options.tag));
+    }
+
+    const nodes = [];
+    const edges = [];
+    const byId = new Map();
+    const edgeKeys = new Set();
+
+    const addNode = (id, type, label, extra = {}) => {
+        if (byId.has(id)) return byId.get(id);
+        const node = { id, type, label, degree: 0, x: 0, y: 0, vx: 0, vy: 0, ...extra };
+        nodes.push(node);
+        byId.set(id, node);
+        return node;
+    };
+    const addEdge = (a, b, type) => {
+        if (a === b) return;
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        edges.push({ source: byId.get(a), target: byId.get(b), type });
+    };
+
+    visibleNotes.forEach(n => addNode('note:' + n.id, 'note', n.title, { noteId: n.id, linkCount: 0 }));
+
+    visibleNotes.forEach(n => {
+        (n.links || []).forEach(link => {
+            const result = resolveWikiLink(link);
+            if (result.status !== 'resolved' || !byId.has('note:' + result.note.id)) return;
+            if (result.note.id === n.id) return;
+            byId.get('note:' + n.id).linkCount++;
+            byId.get('note:' + result.note.id).linkCount++;
+            addEdge('note:' + n.id, 'note:' + result.note.id, 'link');
+        });
+    });
+
+    // Orphans have no links in or out (tag and folder edges don't count)
+    nodes.forEach(node => { node.orphan = node.linkCount === 0; });
+
+    if (options.showTags) {
+        visibleNotes.forEach(n => (n.tags || []).forEach(tag => {
+            addNode('tag:' + tag, 'tag', '#' + tag, { tag });
+            addEdge('note:' + n.id, 'tag:' + tag, 'tag');
+        }));
+    }
+
+    if (options.showFolders) {
+        visibleNotes.forEach(n => {
+            if (!n.folderId) return;
+            let childId = 'note:' + n.id;
+            // Connect the note to its folder and each folder to its parent
+            for (const folder of getFolderChain(n.folderId).reverse()) {
+                addNode('folder:' + folder.id, 'folder', folder.name, { folderId: folder.id });
+                addEdge(childId, 'folder:' + folder.id, 'folder');
+                childId = 'folder:' + folder.id;
+            }
+        });
+    }
+
+    edges.forEach(edge => { edge.source.degree++; edge.target.degree++; });
+
+    let graph = { nodes, edges, byId };
+    if (options.local && currentNoteId && byId.has('note:' + currentNoteId)) {
+        graph = _localSubgraph(graph, 'note:' + currentNoteId, options.depth);
+    }
+    return graph;
+}
+
+// Keep only nodes within `depth` hops of the centre node
+function _localSubgraph(graph, centreId, depth) {
+    const neighbours = new Map(graph.nodes.map(n => [n.id, []]));
+    graph.edges.forEach(e => {
+        neighbours.get(e.source.id).push(e.target.id);
+        neighbours.get(e.target.id).push(e.source.id);
+    });
+
+    const keep = new Set([centreId]);
+    let frontier = [centreId];
+    for (let i = 0; i < depth; i++) {
+        const next = [];
+        frontier.forEach(id => neighbours.get(id).forEach(other => {
+            if (!keep.has(other)) { keep.add(other); next.push(other); }
+        }));
+        frontier = next;
+    }
+
+    const nodes = graph.nodes.filter(n => keep.has(n.id));
+    const edges = graph.edges.filter(e => keep.has(e.source.id) && keep.has(e.target.id));
+    return { nodes, edges, byId: new Map(nodes.map(n => [n.id, n])) };
+}
+
+function rebuildGraph() {
+    _graph = buildGraphData(_graphOptions);
+
+    // Seed positions on a spiral so the layout starts untangled
+    _graph.nodes.forEach((node, i) => {
+        const angle = i * 2.4;
+        const radius = 12 * Math.sqrt(i + 1);
+        node.x = Math.cos(angle) * radius;
+        node.y = Math.sin(angle) * radius;
+    });
+
+    const orphans = _graph.nodes.filter(n => n.type === 'note' && n.orphan).length;
+    const noteCount = _graph.nodes.filter(n => n.type === 'note').length;
+    document.getElementById('graphStats').textContent =
+        `${noteCount} notes · ${_graph.edges.filter(e => e.type === 'link').length} links · ${orphans} orphans`;
+
+    _resizeGraphCanvas();
+    _startGraphLayout();
+}
+
+function _resizeGraphCanvas() {
+    const canvas = document.getElementById('graphCanvas');
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.max(1, Math.floor(rect.width * ratio));
+    canvas.height = Math.max(1, Math.floor(rect.height * ratio));
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+}
+
+function _startGraphLayout() {
+    _graphAlpha = 1;
+    _graphIterations = 0;
+    if (!_graphFrame) _graphFrame = requestAnimationFrame(_graphTick);
+}
+
+function _stopGraphLayout() {
+    if (_graphFrame) cancelAnimationFrame(_graphFrame);
+    _graphFrame = null;
+}
+
+function _graphTick() {
+    _graphFrame = null;
+    if (!_graph) return;
+
+    stepGraphLayout(_graph, _graphAlpha);
+    _graphAlpha *= 0.985;
+    _graphIterations++;
+    drawGraph();
+
+    if (_graphAlpha > 0.02 && _graphIterations < GRAPH_MAX_ITERATIONS) {
+        _graphFrame = requestAnimationFrame(_graphTick);
+    }
+}
+
+// One step of a simple force layout: node repulsion, edge springs, gentle pull to the centre
+function stepGraphLayout(graph, alpha) {
+    const nodes = graph.nodes;
+    const repulsion = 900;
+    const springLength = 70;
+    const springStrength = 0.04;
+    const gravity = 0.01;
+
+    for (let i = 0; i < nodes.length; i++) {
+        const a = nodes[i];
+        for (let j = i + 1; j < nodes.length; j++) {
+            const b = nodes[j];
+            let dx = a.x - b.x;
+            let dy = a.y - b.y;
+            let distSq = dx * dx + dy * dy;
+            if (distSq < 0.01) { dx = Math.random() - 0.5; dy = Math.random() - 0.5; distSq = 0.5; }
+            const force = repulsion / distSq;
+            const dist = Math.sqrt(distSq);
+            const fx = dx / dist * force;
+            const fy = dy / dist * force;
+            a.vx += fx; a.vy += fy;
+            b.vx -= fx; b.vy -= fy;
+        }
+    }
+
+    graph.edges.forEach(({ source, target }) => {
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const force = (dist - springLength) * springStrength;
+        const fx = dx / dist * force;
+        const fy = dy / dist * force;
+        source.vx += fx; source.vy += fy;
+        target.vx -= fx; target.vy -= fy;
+    });
+
+    nodes.forEach(node => {
+        node.vx -= node.x * gravity;
+        node.vy -= node.y * gravity;
+        if (_graphPointer && _graphPointer.node === node) {
+            node.vx = node.vy = 0;
+            return;
+        }
+        // Cap the step so a crowded start doesn't explode
+        node.x += Math.max(-20, Math.min(20, node.vx * alpha));
+        node.y += Math.max(-20, Math.min(20, node.vy * alpha));
+        node.vx *= 0.6;
+        node.vy *= 0.6;
+    });
+}
+
+function _graphNodeRadius(node) {
+    if (node.type !== 'note') return 4;
+    return 4 + Math.min(8, Math.sqrt(node.degree) * 1.5);
+}
+
+function drawGraph() {
+    const canvas = document.getElementById('graphCanvas');
+    if (!canvas || !_graph) return;
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const css = getComputedStyle(document.documentElement);
+    const color = name => css.getPropertyValue(name).trim();
+
+    const width = canvas.width / ratio;
+    const height = canvas.height / ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(width / 2 + _graphView.x, height / 2 + _graphView.y);
+    ctx.scale(_graphView.scale, _graphView.scale);
+
+    // Highlight the hovered node's neighbourhood
+    const focus = new Set();
+    if (_graphHover) {
+        focus.add(_graphHover);
+        _graph.edges.forEach(e => {
+            if (e.source === _graphHover) focus.add(e.target);
+            if (e.target === _graphHover) focus.add(e.source);
+        });
+    }
+
+    ctx.lineWidth = 1 / _graphView.scale;
+    _graph.edges.forEach(e => {
+        const active = _graphHover && (e.source === _graphHover || e.target === _graphHover);
+        ctx.strokeStyle = active ? color('--accent-primary') : color('--border-color');
+        ctx.globalAlpha = _graphHover && !active ? 0.3 : 1;
+        if (e.type !== 'link') ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(e.source.x, e.source.y);
+        ctx.lineTo(e.target.x, e.target.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    });
+
+    const showAllLabels = _graphView.scale >= 0.8 || _graph.nodes.length <= 40;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    _graph.nodes.forEach(node => {
+        const r = _graphNodeRadius(node);
+        ctx.globalAlpha = _graphHover && !focus.has(node) ? 0.25 : 1;
+
+        if (node.type === 'tag') ctx.fillStyle = color('--success-color');
+        else if (node.type === 'folder') ctx.fillStyle = color('--warning-color');
+        else if (node.orphan) ctx.fillStyle = color('--error-color');
+        else ctx.fillStyle = color('--accent-primary');
+
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, r, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (node.noteId && node.noteId === currentNoteId) {
+            ctx.strokeStyle = color('--text-primary');
+            ctx.lineWidth = 2 / _graphView.scale;
+            ctx.stroke();
+            ctx.lineWidth = 1 / _graphView.scale;
+        }
+
+        if (showAllLabels || focus.has(node) || node.noteId === currentNoteId) {
+            ctx.fillStyle = color('--text-secondary');
+            ctx.fillText(node.label, node.x, node.y + r + 12);
+        }
+    });
+    ctx.globalAlpha = 1;
+}
+
+// Canvas point (CSS pixels) → graph coordinates
+function _graphPoint(e) {
+    const canvas = document.getElementById('graphCanvas');
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left - rect.width / 2 - _graphView.x) / _graphView.scale,
+        y: (e.clientY - rect.top - rect.height / 2 - _graphView.y) / _graphView.scale
+    };
+}
+
+function _graphNodeAt(point) {
+    if (!_graph) return null;
+    for (let i = _graph.nodes.length - 1; i >= 0; i--) {
+        const node = _graph.nodes[i];
+        const r = _graphNodeRadius(node) + 3 / _graphView.scale;
+        if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 <= r * r) return node;
+    }
+    return null;
+}
+
+function handleGraphMouseDown(e) {
+    const node = _graphNodeAt(_graphPoint(e));
+    _graphPointer = { node, startX: e.clientX, startY: e.clientY, moved: false, panX: _graphView.x, panY: _graphView.y };
+}
+
+function handleGraphMouseMove(e) {
+    const canvas = document.getElementById('graphCanvas');
+    if (!_graphPointer) {
+        const hover = _graphNodeAt(_graphPoint(e));
+        if (hover !== _graphHover) {
+            _graphHover = hover;
+            canvas.style.cursor = hover ? 'pointer' : 'grab';
+            canvas.title = hover ? hover.label : '';
+            drawGraph();
+        }
+        return;
+    }
+
+    const dx = e.clientX - _graphPointer.startX;
+    const dy = e.clientY - _graphPointer.startY;
+    if (Math.abs(dx) + Math.abs(dy) > 3) _graphPointer.moved = true;
+
+    if (_graphPointer.node) {
+        const point = _graphPoint(e);
+        _graphPointer.node.x = point.x;
+        _graphPointer.node.y = point.y;
+        // Let neighbours follow the dragged node
+        _graphAlpha = Math.max(_graphAlpha, 0.3);
+        _graphIterations = 0;
+        if (!_graphFrame) _graphFrame = requestAnimationFrame(_graphTick);
+    } else {
+        _graphView.x = _graphPointer.panX + dx;
+        _graphView.y = _graphPointer.panY + dy;
+        drawGraph();
+    }
+}
+
+function handleGraphMouseUp() {
+    const pointer = _graphPointer;
+    _graphPointer = null;
+    if (!pointer || pointer.moved || !pointer.node) return;
+
+    const node = pointer.node;
+    if (node.type === 'note') {
+        closeGraphView();
+        switchToTab(node.noteId);
+    } else if (node.type === 'tag') {
+        closeGraphView();
+        searchByTag(node.tag);
+    }
+}
+
+function handleGraphMouseLeave() {
+    _graphPointer = null;
+    if (_graphHover) {
+        _graphHover = null;
+        drawGraph();
+    }
+}
+
+function handleGraphWheel(e) {
+    e.preventDefault();
+    const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+    const scale = Math.max(0.2, Math.min(4, _graphView.scale * factor));
+
+    // Zoom around the cursor
+    const canvas = document.getElementById('graphCanvas');
+    const rect = canvas.getBoundingClientRect();
+    const cx = e.clientX - rect.left - rect.width / 2;
+    const cy = e.clientY - rect.top - rect.height / 2;
+    _graphView.x = cx - (cx - _graphView.x) * (scale / _graphView.scale);
+    _graphView.y = cy - (cy - _graphView.y) * (scale / _graphView.scale);
+    _graphView.scale = scale;
+    drawGraph();
+}
+
+function resetGraphView() {
+    _graphView = { scale: 1, x: 0, y: 0 };
+    drawGraph();
+}
+
+// Export graph view functions
+window.openGraphView = openGraphView;
+window.closeGraphView = closeGraphView;
+window.updateGraphOptions = updateGraphOptions;
+window.resetGraphView = resetGraphView;
+window.handleGraphMouseDown = handleGraphMouseDown;
+window.handleGraphMouseMove = handleGraphMouseMove;
+window.handleGraphMouseUp = handleGraphMouseUp;
+window.handleGraphMouseLeave = handleGraphMouseLeave;
+window.handleGraphWheel = handleGraphWheel;
+
+/* ========== UNLINKED MENTIONS ========== */
+
+const MAX_UNLINKED_MENTIONS = 50; // Cap on mentions listed in the sidebar
+
+function _escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Plain-text occurrences of a note's title or aliases in other notes, outside [[...]] links.
+// Returns [{ note, index, text, line, column }] sorted by note, then position.
+function findUnlinkedMentions(target) {
+    const names = [target.title, ...(target.aliases || [])]
+        .map(name => name.trim())
+        .filter(name => name)
+        // Longest first so "Anna Karenina" wins over "Anna"
+        .sort((a, b) => b.length - a.length);
+    if (names.length === 0) return [];
+
+    const nameRegex = new RegExp(`(^|[^\\w])(${names.map(_escapeRegExp).join('|')})(?![\\w])`, 'gi');
+    const mentions = [];
+
+    // Only notes containing every word of some name can mention it
+    let candidates = notes;
+    const perName = names.map(getIndexedNotesWithWords);
+    if (perName.every(ids => ids)) {
+        const ids = new Set();
+        perName.forEach(set => set.forEach(id => ids.add(id)));
+        candidates = notes.filter(n => ids.has(n.id) || n.id === currentNoteId);
+    }
+
+    candidates.forEach(n => {
+        if (n.id === target.id) return;
+        const content = getLiveNoteContent(n);
+
+        // Spans already inside wiki links or embeds
+        const linked = [];
+        const linkRegex = /!?\[\[[^\]]+\]\]/g;
+        let link;
+        while ((link = linkRegex.exec(content)) !== null) {
+            linked.push([link.index, link.index + link[0].length]);
+        }
+
+        let match;
+        nameRegex.lastIndex = 0;
+        while ((match = nameRegex.exec(content)) !== null) {
+            const index = match.index + match[1].length;
+            if (linked.some(([from, to]) => index >= from && index < to)) continue;
+            const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+            const lineEnd = content.indexOf('\n', index);
+            mentions.push({
+                note: n,
+                index,
+                text: match[2],
+                line: content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd),
+                column: index - lineStart
+            });
+        }
+    });
+
+    return mentions;
+}
+
+// The wiki link that should replace a mention: [[text]] when that already
+// resolves to the target, otherwise [[Target|text]]
+function _mentionLinkText(target, text) {
+    const direct = resolveWikiLink(text);
+    if (direct.status === 'resolved' && direct.note.id === target.id) return `[[${text}]]`;
+
+    const byTitle = resolveWikiLink(target.title);
+    const linkTarget = byTitle.status === 'resolved' && byTitle.note.id === target.id
+        ? target.title
+        : getNoteLinkPath(target);
+    return linkTarget === text ? `[[${text}]]` : `[[${linkTarget}|${text}]]`;
+}
+
+function renderUnlinkedMentions(note) {
+    const container = document.getElementById('unlinkedMentions');
+    if (!container) return;
+
+    const mentions = findUnlinkedMentions(note);
+    container.innerHTML = '';
+    if (mentions.length === 0) {
+        container.innerHTML = '<span class="empty-message">No unlinked mentions</span>';
+        return;
+    }
+
+    const groups = new Map();
+    mentions.slice(0, MAX_UNLINKED_MENTIONS).forEach(m => {
+        if (!groups.has(m.note.id)) groups.set(m.note.id, []);
+        groups.get(m.note.id).push(m);
+    });
+
+    groups.forEach(group => {
+        const source = group[0].note;
+        const groupEl = document.createElement('div');
+        groupEl.className = 'mention-group';
+
+        const title = document.createElement('div');
+        title.className = 'link-item';
+        title.textContent = source.title;
+        title.onclick = () => switchToTab(source.id);
+        groupEl.appendChild(title);
+
+        group.forEach(mention => {
+            const item = document.createElement('div');
+            item.className = 'mention-item';
+
+            // Up to 40 characters of context either side of the mention
+            const start = Math.max(0, mention.column - 40);
+            const end = Math.min(mention.line.length, mention.column + mention.text.length + 40);
+            const snippet = document.createElement('div');
+            snippet.className = 'mention-snippet';
+            snippet.innerHTML = (start > 0 ? '…' : '') +
+                escapeHtml(mention.line.slice(start, mention.column)) +
+                `<mark>${escapeHtml(mention.text)}</mark>` +
+                escapeHtml(mention.line.slice(mention.column + mention.text.length, end)) +
+                (end < mention.line.length ? '…' : '');
+            item.appendChild(snippet);
+
+            const linkBtn = document.createElement('button');
+            linkBtn.className = 'mention-link-btn';
+            linkBtn.textContent = 'Link';
+            linkBtn.title = `Replace with ${_mentionLinkText(note, mention.text)}`;
+            linkBtn.onclick = () => linkUnlinkedMention(note, mention);
+            item.appendChild(linkBtn);
+
+            groupEl.appendChild(item);
+        });
+
+        container.appendChild(groupEl);
+    });
+
+    if (mentions.length > MAX_UNLINKED_MENTIONS) {
+        const more = document.createElement('span');
+        more.className = 'empty-message';
+        more.textContent = `…and ${mentions.length - MAX_UNLINKED_MENTIONS} more`;
+        container.appendChild(more);
+    }
+}
+
+// Turn one mention into a wiki link in its note (undoable)
+async function linkUnlinkedMention(target, mention) {
+    const content = getLiveNoteContent(mention.note);
+    if (content.substr(mention.index, mention.text.length) !== mention.text) {
+        // The note changed since the panel was drawn
+        showToast('That mention has moved — refreshing');
+        renderUnlinkedMentions(target);
+        return;
+    }
+
+    await applyBatchEdits([{
+        note: mention.note,
+        edits: [{
+            from: mention.index,
+            to: mention.index + mention.text.length,
+            text: _mentionLinkText(target, mention.text)
+        }]
+    }], `Linked mention in "${mention.note.title}"`);
+}
+
+/* ========== NOTES FROM BROKEN LINKS ========== */
+
+// Folder for "Folder/Sub" link paths: an existing folder whose path ends that way,
+// otherwise the path is created from the vault root
+async function findOrCreateFolderPath(names) {
+    const wanted = names.map(name => name.toLowerCase());
+    const matches = folders.filter(f => {
+        const chain = getFolderChain(f.id).map(c => c.name.toLowerCase());
+        if (wanted.length > chain.length) return false;
+        const tail = chain.slice(chain.length - wanted.length);
+        return wanted.every((name, i) => name === tail[i]);
+    });
+    if (matches.length === 1) return matches[0].id;
+
+    let parentId = null;
+    for (const name of names) {
+        let folder = folders.find(f => f.parentFolderId === parentId && f.name.toLowerCase() === name.toLowerCase());
+        if (!folder) {
+            folder = {
+                id: generateId(),
+                name,
+                parentFolderId: parentId,
+                collapsed: false,
+                order: Date.now()
+            };
+            folders.push(folder);
+            await saveFolder(folder);
+        }
+        parentId = folder.id;
+    }
+    return parentId;
+}
+
+// Folder for a new note created from a link in the current note
+function _defaultLinkNoteFolderId() {
+    if (settings.linkNoteFolder === 'root') return null;
+    if (settings.linkNoteFolder && settings.linkNoteFolder !== 'current') {
+        if (folders.some(f => f.id === settings.linkNoteFolder)) return settings.linkNoteFolder;
+    }
+    const current = notes.find(n => n.id === currentNoteId);
+    return current ? current.folderId || null : null;
+}
+
+// Create the note a broken [[link]] points at and open it.
+// options.open = false creates it without leaving the current note.
+async function createNoteFromLink(rawTarget, options = {}) {
+    const open = options.open !== false;
+    const link = parseWikiLink(rawTarget);
+    if (!link.title) return null;
+
+    // It may have been created since the link was rendered
+    const existing = resolveWikiLink(link);
+    if (existing.status === 'resolved') {
+        if (open) openNoteAtAnchor(existing.note.id, link);
+        return existing.note;
+    }
+
+    const folderId = link.folderPath.length > 0
+        ? await findOrCreateFolderPath(link.folderPath)
+        : _defaultLinkNoteFolderId();
+
+    const template = notes.find(n => n.id === settings.linkNoteTemplateId);
+    let content = template ? expandTemplate(template.content || '', { title: link.title, folderId }).content : '';
+    // Give a [[Note#Heading]] link something to land on
+    if (link.heading && findHeadingLine(content, link.heading) === -1) {
+        content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}# ${link.heading}\n`;
+    }
+
+    const now = new Date().toISOString();
+    const note = {
+        id: generateId(),
+        title: link.title,
+        content,
+        folderId,
+        tags: extractTags(content),
+        links: extractLinks(content),
+        aliases: [],
+        highlights: [],
+        order: Date.now(),
+        created: now,
+        modified: now
+    };
+
+    const folder = folders.find(f => f.id === folderId);
+    if (folder && folder.collapsed) {
+        folder.collapsed = false;
+        await saveFolder(folder);
+    }
+
+    notes.push(note);
+    await saveNote(note);
+    renderFileExplorer();
+    if (open) switchToTab(note.id);
+    showToast(`Created "${note.title}"${folder ? ` in ${folder.name}` : ''}`);
+    return note;
+}
+
+function populateLinkNoteSettings() {
+    const folderSelect = document.getElementById('linkNoteFolderSelect');
+    const templateSelect = document.getElementById('linkNoteTemplateSelect');
+    if (!folderSelect || !templateSelect) return;
+
+    folderSelect.innerHTML = `
+        <option value="current">Same folder as the linking note</option>
+        <option value="root">Vault root</option>
+    `;
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            folderSelect.appendChild(option);
+        });
+    folderSelect.value = settings.linkNoteFolder;
+    if (folderSelect.value !== settings.linkNoteFolder) folderSelect.value = 'current';
+
+    // Offer the templates folder once there is one; a note chosen before that keeps working
+    const hasTemplatesFolder = folders.some(f => f.id === settings.templatesFolderId);
+    templateSelect.innerHTML = '<option value="">Empty note</option>';
+    const choices = hasTemplatesFolder ? getTemplateNotes() : [...notes].sort((a, b) => a.title.localeCompare(b.title));
+    const current = notes.find(n => n.id === settings.linkNoteTemplateId);
+    const outside = current && !choices.includes(current);
+    (outside ? [current, ...choices] : choices).forEach(n => {
+        const option = document.createElement('option');
+        option.value = n.id;
+        option.textContent = n === current && outside ? `${getNoteLinkPath(n)} (outside templates folder)` : getNoteLinkPath(n);
+        templateSelect.appendChild(option);
+    });
+    templateSelect.value = current ? current.id : '';
+
+    const hint = document.getElementById('linkNoteTemplateHint');
+    if (hint) {
+        hint.textContent = outside ? `"${current.title}" is not in the templates folder. It is still used; move it there or pick a template.` : '';
+        hint.style.display = outside ? '' : 'none';
+    }
+}
+
+function changeLinkNoteSettings() {
+    settings.linkNoteFolder = document.getElementById('linkNoteFolderSelect').value;
+    settings.linkNoteTemplateId = document.getElementById('linkNoteTemplateSelect').value;
+    saveSettings();
+    populateLinkNoteSettings();
+}
+
+// Every unresolved link in the vault, grouped by target:
+// [{ kind: 'note' | 'anchor' | 'ambiguous' | 'attachment', target, sources: [{ note, count }] }]
+function collectBrokenLinks() {
+    const groups = new Map();
+    const linkRegex = /!?\[\[([^\]]+)\]\]/g;
+
+    notes.forEach(n => {
+        const content = getLiveNoteContent(n);
+        let match;
+        while ((match = linkRegex.exec(content)) !== null) {
+            const link = parseWikiLink(match[1]);
+            const isFile = match[0].startsWith('!') && isAttachmentEmbed(match[1]);
+            const result = isFile ? null : resolveLinkWithAnchor(link, n.id);
+            let kind, target;
+            if (isFile) {
+                if (findAttachment(link.target)) continue;
+                kind = 'attachment';
+                target = link.target;
+            } else if (result.status === 'broken') {
+                if (!link.target) continue;
+                kind = 'note';
+                target = link.target;
+            } else if (result.status === 'ambiguous') {
+                kind = 'ambiguous';
+                target = link.target;
+            } else if (!result.anchorFound) {
+                kind = 'anchor';
+                target = `${getNoteLinkPath(result.note)}${formatLinkAnchor(link)}`;
+            } else {
+                continue;
+            }
+
+            const key = `${kind}:${target.toLowerCase()}`;
+            if (!groups.has(key)) groups.set(key, { kind, target, sources: new Map() });
+            const sources = groups.get(key).sources;
+            sources.set(n.id, (sources.get(n.id) || 0) + 1);
+        }
+    });
+
+    return [...groups.values()]
+        .map(g => ({
+            ...g,
+            sources: [...g.sources.entries()].map(([id, count]) => ({ note: notes.find(n => n.id === id), count }))
+        }))
+        .sort((a, b) => b.sources.length - a.sources.length || a.target.localeCompare(b.target));
+}
+
+function openBrokenLinksReport() {
+    renderBrokenLinksReport();
+    document.getElementById('brokenLinksModal').classList.add('active');
+}
+
+function closeBrokenLinksReport() {
+    document.getElementById('brokenLinksModal').classList.remove('active');
+}
+
+function renderBrokenLinksReport() {
+    const list = document.getElementById('brokenLinksList');
+    const summary = document.getElementById('brokenLinksSummary');
+    const broken = collectBrokenLinks();
+
+    list.innerHTML = '';
+    if (broken.length === 0) {
+        summary.textContent = 'Every link in the vault resolves.';
+        return;
+    }
+    const refs = broken.reduce((sum, b) => sum + b.sources.reduce((n, s) => n + s.count, 0), 0);
+    summary.textContent = `${broken.length} unresolved target${broken.length !== 1 ? 's' : ''}, ${refs} reference${refs !== 1 ? 's' : ''}`;
+
+    const kindLabels = { note: 'missing note', anchor: 'missing heading/block', ambiguous: 'ambiguous', attachment: 'missing attachment' };
+    broken.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'broken-link-item';
+
+        const header = document.createElement('div');
+        header.className = 'broken-link-header';
+        header.innerHTML = `
+            <span class="broken-link-target">[[${escapeHtml(entry.target)}]]</span>
+            <span class="broken-link-kind ${entry.kind}">${kindLabels[entry.kind]}</span>
+        `;
+        if (entry.kind === 'note') {
+            const createBtn = document.createElement('button');
+            createBtn.className = 'mention-link-btn';
+            createBtn.textContent = 'Create';
+            createBtn.onclick = async () => {
+                closeBrokenLinksReport();
+                await createNoteFromLink(entry.target);
+            };
+            header.appendChild(createBtn);
+        }
+        item.appendChild(header);
+
+        entry.sources.forEach(({ note, count }) => {
+            const source = document.createElement('div');
+            source.className = 'link-item';
+            source.textContent = `📄 ${note.title}${count > 1 ? ` (${count})` : ''}`;
+            source.onclick = () => {
+                closeBrokenLinksReport();
+                switchToTab(note.id);
+            };
+            item.appendChild(source);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+// Export broken link functions
+window.createNoteFromLink = createNoteFromLink;
+window.changeLinkNoteSettings = changeLinkNoteSettings;
+window.openBrokenLinksReport = openBrokenLinksReport;
+window.closeBrokenLinksReport = closeBrokenLinksReport;
+window.renderBrokenLinksReport = renderBrokenLinksReport;
+
+/* ========== HOVER PREVIEWS ========== */
+
+const LINK_POPOVER_DELAY = 350;      // Hover time before a popover opens
+const LINK_POPOVER_HIDE_DELAY = 250; // Grace period to move the mouse into the popover
+
+let _popoverShowTimer = null;
+let _popoverHideTimer = null;
+let _popoverKey = null; // Identifies what the open popover shows, to avoid re-rendering
+
+function initLinkHoverPreviews() {
+    const preview = document.getElementById('markdownPreview');
+    preview.addEventListener('mouseover', e => {
+        const link = e.target.closest('.wiki-link[data-note-id]');
+        if (!link) return;
+        scheduleLinkPopover(link.getBoundingClientRect(), link.dataset.noteId, {
+            heading: link.dataset.heading || '',
+            blockId: link.dataset.blockId || ''
+        });
+    });
+    preview.addEventListener('mouseout', e => {
+        const link = e.target.closest('.wiki-link[data-note-id]');
+        if (link && !link.contains(e.relatedTarget)) scheduleHideLinkPopover();
+    });
+
+    // Ctrl/Cmd-hover over [[...]] in the editor
+    if (editor) {
+        const wrapper = editor.getWrapperElement();
+        wrapper.addEventListener('mousemove', handleEditorLinkHover);
+        wrapper.addEventListener('mouseleave', scheduleHideLinkPopover);
+    }
+
+    const popover = document.getElementById('linkPopover');
+    popover.addEventListener('mouseenter', () => clearTimeout(_popoverHideTimer));
+    popover.addEventListener('mouseleave', scheduleHideLinkPopover);
+    popover.addEventListener('click', e => {
+        if (e.target.closest('.wiki-link, .tag')) hideLinkPopover();
+        handlePreviewClick(e);
+    });
+
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') hideLinkPopover();
+    });
+}
+
+function handleEditorLinkHover(e) {
+    if (!(e.ctrlKey || e.metaKey)) {
+        if (_popoverKey && _popoverKey.startsWith('editor:')) scheduleHideLinkPopover();
+        return;
+    }
+
+    const pos = editor.coordsChar({ left: e.clientX, top: e.clientY }, 'window');
+    const line = editor.getLine(pos.line) || '';
+    const linkRegex = /!?\[\[([^\]]+)\]\]/g;
+    let match;
+    while ((match = linkRegex.exec(line)) !== null) {
+        if (pos.ch < match.index || pos.ch > match.index + match[0].length) continue;
+
+        const link = parseWikiLink(match[1]);
+        const result = resolveLinkWithAnchor(link, currentNoteId);
+        if (result.status !== 'resolved') return;
+
+        const start = editor.charCoords({ line: pos.line, ch: match.index }, 'window');
+        const end = editor.charCoords({ line: pos.line, ch: match.index + match[0].length }, 'window');
+        const rect = { left: start.left, right: end.right, top: start.top, bottom: start.bottom };
+        scheduleLinkPopover(rect, result.note.id, link, `editor:${pos.line}:${match.index}`);
+        return;
+    }
+    scheduleHideLinkPopover();
+}
+
+function scheduleLinkPopover(rect, noteId, anchor, key) {
+    key = key || `${noteId}#${anchor.heading || ''}^${anchor.blockId || ''}`;
+    clearTimeout(_popoverHideTimer);
+    if (key === _popoverKey) return;
+
+    clearTimeout(_popoverShowTimer);
+    _popoverShowTimer = setTimeout(() => showLinkPopover(rect, noteId, anchor, key), LINK_POPOVER_DELAY);
+}
+
+function scheduleHideLinkPopover() {
+    clearTimeout(_popoverShowTimer);
+    clearTimeout(_popoverHideTimer);
+    _popoverHideTimer = setTimeout(hideLinkPopover, LINK_POPOVER_HIDE_DELAY);
+}
+
+function hideLinkPopover() {
+    clearTimeout(_popoverShowTimer);
+    clearTimeout(_popoverHideTimer);
+    _popoverKey = null;
+    const popover = document.getElementById('linkPopover');
+    if (popover) popover.classList.remove('active');
+}
+
+// The markdown a popover shows: the whole note, or just the linked heading section / block
+function getLinkPreviewContent(note, anchor) {
+    const content = getLiveNoteContent(note);
+    if (anchor.heading) return getHeadingSection(content, anchor.heading);
+    if (anchor.blockId) return getBlockText(content, anchor.blockId);
+    return content;
+}
+
+function showLinkPopover(rect, noteId, anchor, key) {
+    const note = notes.find(n => n.id === noteId);
+    const popover = document.getElementById('linkPopover');
+    if (!note || !popover) return;
+    _popoverKey = key;
+
+    const anchorLabel = anchor.heading || (anchor.blockId ? `^${anchor.blockId}` : '');
+    document.getElementById('linkPopoverTitle').textContent = note.title + (anchorLabel ? ` › ${anchorLabel}` : '');
+    document.getElementById('linkPopoverTitle').onclick = () => {
+        hideLinkPopover();
+        openNoteAtAnchor(note.id, anchor);
+    };
+    document.getElementById('linkPopoverNewTab').onclick = () => {
+        hideLinkPopover();
+        openNoteInNewTab(note.id);
+    };
+
+    const body = document.getElementById('linkPopoverBody');
+    const content = getLinkPreviewContent(note, anchor);
+    if (content === null) {
+        body.innerHTML = `<span class="empty-message">${escapeHtml(describeMissingAnchor(anchor, note))}</span>`;
+    } else if (!content.trim()) {
+        body.innerHTML = '<span class="empty-message">Empty note</span>';
+    } else {
+        renderMarkdownInto(body, content, [note.id]);
+    }
+    body.scrollTop = 0;
+
+    // Below the link when there's room, otherwise above; kept inside the viewport
+    popover.classList.add('active');
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+    const below = rect.bottom + 6;
+    const top = below + height > window.innerHeight - 8 ? Math.max(8, rect.top - height - 6) : below;
+    popover.style.left = left + 'px';
+    popover.style.top = top + 'px';
+}
+
+// Add a note to the tab bar without leaving the current note
+function openNoteInNewTab(noteId) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+    if (!currentNoteId) {
+        openNote(noteId);
+        return;
+    }
+    if (!openTabs.includes(noteId)) {
+        openTabs.push(noteId);
+        renderTabs();
+    }
+    showToast(`Opened "${note.title}" in a new tab`);
+}
+
+// Export hover preview functions
+window.openNoteInNewTab = openNoteInNewTab;
+window.hideLinkPopover = hideLinkPopover;
+
+/* ========== AUTOCOMPLETE ========== */
+
+const AUTOCOMPLETE_MAX_ITEMS = 12;
+
+// Fuzzy subsequence match. Returns { score, indices } or null; higher scores are better.
+// Consecutive characters, word starts and prefixes score extra.
+function fuzzyMatch(query, text) {
+    if (!query) return { score: 0, indices: [] };
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+
+    const indices = [];
+    let score = 0;
+    let ti = 0;
+    for (let qi = 0; qi < q.length; qi++) {
+        const ch = q[qi];
+        const found = t.indexOf(ch, ti);
+        if (found === -1) return null;
+
+        const prev = indices.length ? indices[indices.length - 1] : -2;
+        if (found === prev + 1) score += 5;                       // consecutive
+        if (found === 0 || /[\s\/\-_.]/.test(t[found - 1])) score += 8; // word start
+        score -= Math.min(found - ti, 10) * 0.5;                   // gap penalty
+        indices.push(found);
+        ti = found + 1;
+    }
+    if (t.startsWith(q)) score += 15;
+    if (t === q) score += 25;
+    // Prefer shorter candidates when otherwise equal
+    score -= t.length * 0.05;
+    return { score, indices };
+}
+
+// Text with the matched characters wrapped in <b>, HTML-escaped
+function highlightFuzzyMatch(text, indices) {
+    const marked = new Set(indices);
+    return Array.from(text).map((ch, i) => marked.has(i) ? `<b>${escapeHtml(ch)}</b>` : escapeHtml(ch)).join('');
+}
+
+let _autocomplete = null; // { items, selected, from, to, context } while the dropdown is open
+let _autocompleteNoteItems = null; // note link candidates cached while the dropdown is open
+
+const _autocompleteKeyMap = {
+    Up: () => moveAutocompleteSelection(-1),
+    Down: () => moveAutocompleteSelection(1),
+    Enter: () => acceptAutocomplete(),
+    Tab: () => acceptAutocomplete(),
+    Esc: () => closeAutocomplete()
+};
+
+function initEditorAutocomplete() {
+    if (!editor) return;
+    // Open only on typed input; once open, follow the cursor
+    editor.on('inputRead', () => updateAutocomplete(true));
+    editor.on('cursorActivity', () => { if (_autocomplete) updateAutocomplete(false); });
+    editor.on('blur', () => closeAutocomplete());
+
+    const dropdown = document.getElementById('editorAutocomplete');
+    // Keep editor focus when clicking an item
+    dropdown.addEventListener('mousedown', e => e.preventDefault());
+}
+
+// What the text before the cursor is asking for, or null
+function getAutocompleteContext() {
+    const cursor = editor.getCursor();
+    const before = editor.getLine(cursor.line).slice(0, cursor.ch);
+
+    const link = before.match(/!?\[\[([^\[\]|]*)$/);
+    if (link) {
+        const query = link[1];
+        const start = cursor.ch - query.length;
+        const hashIndex = query.indexOf('#');
+        if (hashIndex !== -1) {
+            return {
+                type: query[hashIndex + 1] === '^' ? 'block' : 'heading',
+                target: query.slice(0, hashIndex).trim(),
+                query: query.slice(hashIndex + 1).replace(/^\^/, ''),
+                from: { line: cursor.line, ch: start + hashIndex + 1 },
+                to: cursor
+            };
+        }
+        return { type: 'note', query, from: { line: cursor.line, ch: start }, to: cursor };
+    }
+
+    // #tag — a lone # at the start of a line is more likely a heading
+    const tag = before.match(/(^|\s)#(\w*)$/);
+    if (tag && (tag[2] || tag[1])) {
+        return { type: 'tag', query: tag[2], from: { line: cursor.line, ch: cursor.ch - tag[2].length }, to: cursor };
+    }
+    return null;
+}
+
+function _rankItems(items, query) {
+    return items
+        .map(item => ({ item, match: fuzzyMatch(query, item.label) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score || (b.item.weight || 0) - (a.item.weight || 0))
+        .slice(0, AUTOCOMPLETE_MAX_ITEMS)
+        .map(({ item, match }) => ({ ...item, indices: match.indices }));
+}
+
+// Note link candidates, built in one pass over the notes
+function _buildNoteAutocompleteItems() {
+    const resolveName = createNameResolver(notes);
+    const items = [];
+    notes.forEach(n => {
+        if (n.id === currentNoteId) return;
+        const folderPath = getNoteFolderNames(n).join('/');
+        // Ambiguous titles insert the folder-qualified path
+        const title = resolveName(n.title) === n ? n.title : getNoteLinkPath(n);
+        items.push({ label: n.title, detail: folderPath, insert: title });
+        (n.aliases || []).forEach(alias => {
+            // An alias that is also another note's title would link there
+            const insert = resolveName(alias) === n ? alias : `${getNoteLinkPath(n)}|${alias}`;
+            items.push({ label: alias, detail: `alias of ${n.title}`, insert });
+        });
+    });
+    return items;
+}
+
+function getAutocompleteItems(context) {
+    if (context.type === 'note') {
+        // Built when the dropdown opens; typing only re-ranks
+        if (!_autocompleteNoteItems) _autocompleteNoteItems = _buildNoteAutocompleteItems();
+        const ranked = _rankItems(_autocompleteNoteItems, context.query);
+
+        const query = context.query.trim();
+        if (query && resolveWikiLink(query).status === 'broken') {
+            ranked.push({ label: `Create "${parseWikiLink(query).title}"`, detail: 'new note', insert: query, create: true });
+        }
+        return ranked;
+    }
+
+    if (context.type === 'heading' || context.type === 'block') {
+        const result = resolveLinkWithAnchor({ ...parseWikiLink(context.target), heading: '', blockId: '' }, currentNoteId);
+        const note = context.target ? result.note : notes.find(n => n.id === currentNoteId);
+        if (!note) return [];
+        const content = getLiveNoteContent(note);
+
+        if (context.type === 'heading') {
+            const items = parseHeaders(content).map(h => ({
+                label: h.text,
+                detail: 'H' + h.level,
+                insert: h.text
+            }));
+            return _rankItems(items, context.query);
+        }
+        const items = [];
+        content.split('\n').forEach(line => {
+            const match = line.match(/[ \t]\^([A-Za-z0-9-]+)[ \t]*$/);
+            if (match) items.push({ label: match[1], detail: line.replace(BLOCK_ANCHOR_REGEX, '').trim().slice(0, 40), insert: '^' + match[1] });
+        });
+        return _rankItems(items, context.query);
+    }
+
+    // Tags, most used first among equal matches
+    const counts = getIndexedTagCounts() || new Map();
+    if (!_searchIndex.ready) {
+        // Grouped like the index: case-insensitive, under the most common spelling
+        const spellings = new Map();
+        notes.forEach(n => {
+            const seen = new Set();
+            (n.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                if (seen.has(key)) return;
+                seen.add(key);
+                if (!spellings.has(key)) spellings.set(key, []);
+                spellings.get(key).push(tag);
+            });
+        });
+        spellings.forEach(list => counts.set(mostCommonTagSpelling(list), list.length));
+    }
+    const items = [...counts.entries()].map(([tag, count]) => ({
+        label: tag,
+        detail: `${count} note${count !== 1 ? 's' : ''}`,
+        insert: tag,
+        weight: count
+    }));
+    return _rankItems(items, context.query);
+}
+
+function updateAutocomplete(allowOpen) {
+    if (!editor || editor.somethingSelected()) return closeAutocomplete();
+    if (!_autocomplete && !allowOpen) return;
+
+    const context = getAutocompleteContext();
+    if (!context) return closeAutocomplete();
+
+    const items = getAutocompleteItems(context);
+    if (items.length === 0) return closeAutocomplete();
+
+    const wasOpen = !!_autocomplete;
+    _autocomplete = { items, selected: 0, context };
+    if (!wasOpen) editor.addKeyMap(_autocompleteKeyMap);
+    renderAutocomplete();
+}
+
+function renderAutocomplete() {
+    const dropdown = document.getElementById('editorAutocomplete');
+    dropdown.innerHTML = '';
+    _autocomplete.items.forEach((item, i) => {
+        const row = document.createElement('div');
+        row.className = 'autocomplete-item' + (i === _autocomplete.selected ? ' selected' : '') + (item.create ? ' create' : '');
+        row.innerHTML = `
+            <span class="autocomplete-label">${item.create ? escapeHtml(item.label) : highlightFuzzyMatch(item.label, item.indices)}</span>
+            <span class="autocomplete-detail">${escapeHtml(item.detail || '')}</span>
+        `;
+        row.onmouseenter = () => {
+            _autocomplete.selected = i;
+            dropdown.querySelectorAll('.autocomplete-item').forEach((el, j) => el.classList.toggle('selected', j === i));
+        };
+        row.onclick = () => {
+            _autocomplete.selected = i;
+            acceptAutocomplete();
+        };
+        dropdown.appendChild(row);
+    });
+
+    // Below the typed text, flipped above near the bottom of the window
+    const coords = editor.charCoords(_autocomplete.context.from, 'window');
+    dropdown.classList.add('active');
+    const height = dropdown.offsetHeight;
+    dropdown.style.left = Math.min(coords.left, window.innerWidth - dropdown.offsetWidth - 8) + 'px';
+    dropdown.style.top = (coords.bottom + height > window.innerHeight - 8 ? coords.top - height - 4 : coords.bottom + 4) + 'px';
+
+    const selected = dropdown.querySelector('.autocomplete-item.selected');
+    if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+function moveAutocompleteSelection(delta) {
+    if (!_autocomplete) return;
+    const count = _autocomplete.items.length;
+    _autocomplete.selected = (_autocomplete.selected + delta + count) % count;
+    renderAutocomplete();
+}
+
+function acceptAutocomplete() {
+    if (!_autocomplete) return;
+    const { items, selected, context } = _autocomplete;
+    const item = items[selected];
+    closeAutocomplete();
+
+    const doc = editor.getDoc();
+    if (context.type === 'tag') {
+        doc.replaceRange(item.insert, context.from, context.to);
+        return;
+    }
+
+    // Finish the link, reusing a closing ]] that's already there
+    const after = editor.getLine(context.to.line).slice(context.to.ch);
+    const closing = after.startsWith(']]') ? '' : ']]';
+    doc.replaceRange(item.insert + closing, context.from, context.to);
+    if (!closing) {
+        const cursor = editor.getCursor();
+        doc.setCursor({ line: cursor.line, ch: cursor.ch + 2 });
+    }
+
+    if (item.create) createNoteFromLink(item.insert, { open: false });
+}
+
+function closeAutocomplete() {
+    _autocompleteNoteItems = null;
+    if (!_autocomplete) return;
+    _autocomplete = null;
+    if (editor) editor.removeKeyMap(_autocompleteKeyMap);
+    document.getElementById('editorAutocomplete').classList.remove('active');
+}
+
+/* ========== FRONTMATTER PROPERTIES ========== */
+
+// A --- fenced YAML block at the very top of a note
+const FRONTMATTER_REGEX = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+const PROPERTY_TYPES = ['text', 'number', 'date', 'list', 'checkbox', 'link'];
+
+// Split note content into { properties, body, block, unparsed } where block is the raw
+// frontmatter text and unparsed lists the YAML lines parseSimpleYaml could not read
+function parseFrontmatter(content) {
+    const match = (content || '').match(FRONTMATTER_REGEX);
+    if (!match) return { properties: {}, body: content || '', block: '', unparsed: [] };
+    return {
+        properties: parseSimpleYaml(match[1] || ''),
+        body: content.slice(match[0].length),
+        block: match[0],
+        unparsed: findUnparsedYamlLines(match[1] || '')
+    };
+}
+
+// The subset of YAML frontmatter uses in practice: flat keys with scalars,
+// inline [a, b] lists and "- item" lists. Anything else is skipped here and
+// reported by findUnparsedYamlLines.
+function parseSimpleYaml(text) {
+    const properties = {};
+    let listKey = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || /^\s*#/.test(line)) return;
+
+        const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+        if (item && listKey) {
+            properties[listKey].push(parseYamlScalar(item[1]));
+            return;
+        }
+
+        const pair = line.match(/^([^\s:#][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!pair) return;
+        const key = pair[1].trim();
+        const raw = (pair[2] || '').trim();
+        if (raw === '') {
+            // Value may follow as "- item" lines
+            properties[key] = [];
+            listKey = key;
+            return;
+        }
+        listKey = null;
+        properties[key] = parseYamlValue(raw);
+    });
+
+    // A key with no value and no items is empty, not an empty list
+    Object.keys(properties).forEach(key => {
+        if (Array.isArray(properties[key]) && properties[key].length === 0 &&
+            !new RegExp(`^${_escapeRegExp(key)}\\s*:\\s*\\[\\s*\\]`, 'm').test(text)) {
+            properties[key] = null;
+        }
+    });
+    return properties;
+}
+
+// Lines outside the subset parseSimpleYaml reads: nested maps, block scalars,
+// flow maps, anchors and tags, multi-line strings and duplicate keys
+function findUnparsedYamlLines(text) {
+    const unparsed = [];
+    const seen = new Set();
+    let listKey = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || /^\s*#/.test(line)) return;
+
+        const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+        if (item && listKey) {
+            if (/^[^\s"'\[{][^:]*:(\s|$)/.test(item[1]) || /^[{&*!|>]/.test(item[1])) unparsed.push(line);
+            return;
+        }
+
+        const pair = line.match(/^([^\s:#][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!pair) {
+            unparsed.push(line);
+            return;
+        }
+        const key = pair[1].trim();
+        const raw = (pair[2] || '').trim();
+        listKey = raw === '' ? key : null;
+        if (seen.has(key) || /^[{&*!]/.test(raw) || /^[|>][+-]?\d*\s*(#.*)?$/.test(raw) ||
+            /^"(?!.*"$)/.test(raw) || /^'(?!.*'$)/.test(raw)) {
+            unparsed.push(line);
+        }
+        seen.add(key);
+    });
+    return unparsed;
+}
+
+function parseYamlValue(raw) {
+    // [a, b] is a list; [[Note]] is a link
+    if (raw.startsWith('[') && !/^\[\[[^\]]*\]\]$/.test(raw) && raw.endsWith(']')) {
+        const inner = raw.slice(1, -1).trim();
+        if (!inner) return [];
+        return _splitYamlList(inner).map(parseYamlScalar);
+    }
+    return parseYamlScalar(raw);
+}
+
+// Split "a, "b, c", [[d]]" on top-level commas
+function _splitYamlList(text) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[') {
+            depth++;
+        } else if (ch === ']') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function parseYamlScalar(raw) {
+    const value = raw.trim();
+    if (/^".*"$/.test(value)) {
+        try { return JSON.parse(value); } catch (e) { return value.slice(1, -1); }
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+function formatYamlScalar(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    const text = String(value);
+    // Quote anything YAML would read as something other than this plain string
+    const needsQuotes = text === '' || /^[\s\[\]{}#&*!|>'"%@`,?-]/.test(text) || /\s$/.test(text) ||
+        /:\s|\s#/.test(text) || /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text);
+    return needsQuotes ? JSON.stringify(text) : text;
+}
+
+// The YAML text for one key, "- item" lines included
+function formatYamlProperty(key, value) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${key}: []`;
+        return `${key}:\n` + value.map(item => `  - ${formatYamlScalar(item)}`).join('\n');
+    }
+    const formatted = formatYamlScalar(value);
+    return formatted ? `${key}: ${formatted}` : `${key}:`;
+}
+
+function serializeFrontmatter(properties) {
+    const keys = Object.keys(properties);
+    if (keys.length === 0) return '';
+    const lines = keys.map(key => formatYamlProperty(key, properties[key]));
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// Line range [start, end) of a top-level key within YAML lines, or null.
+// The range covers the key line and its indented or "- item" continuation lines.
+function findYamlKeyLines(lines, key) {
+    const start = lines.findIndex(line => {
+        const pair = line.match(/^([^\s:#][^:]*?)\s*:(?:\s+(.*))?$/);
+        return pair && pair[1].trim() === key;
+    });
+    if (start === -1) return null;
+    let end = start + 1;
+    while (end < lines.length && /^(\s+\S|-(\s|$))/.test(lines[end])) end++;
+    return { start, end };
+}
+
+function inferPropertyType(value) {
+    if (Array.isArray(value)) return 'list';
+    if (typeof value === 'boolean') return 'checkbox';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+    if (typeof value === 'string' && /^\[\[[^\]]+\]\]$/.test(value)) return 'link';
+    return 'text';
+}
+
+function getPropertyType(key, value) {
+    const chosen = settings.propertyTypes && settings.propertyTypes[key];
+    return PROPERTY_TYPES.includes(chosen) ? chosen : inferPropertyType(value);
+}
+
+// Convert a value to the shape a property type stores
+function coercePropertyValue(value, type) {
+    const text = Array.isArray(value) ? value.join(', ') : (value === null || value === undefined ? '' : String(value));
+    switch (type) {
+        case 'number': {
+            const number = parseFloat(text);
+            return isNaN(number) ? null : number;
+        }
+        case 'checkbox': return value === true || text === 'true';
+        case 'list': return Array.isArray(value) ? value : text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'date': return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+        case 'link': {
+            const title = text.replace(/^\[\[|\]\]$/g, '').trim();
+            return title ? `[[${title}]]` : null;
+        }
+        default: return text;
+    }
+}
+
+// Rewrite one key of the current note's frontmatter in the editor. Only that key's
+// lines change, so comments and formatting elsewhere in the block stay as written.
+// A value of undefined removes the key.
+function updateCurrentNoteProperty(key, value) {
+    const note = notes.find(n => n.id === currentNoteId);
+    if (!note || !editor) return;
+
+    const { block, unparsed } = parseFrontmatter(editor.getValue());
+    if (unparsed.length > 0) {
+        showToast('This frontmatter has YAML the properties panel cannot edit; edit it in the note');
+        return;
+    }
+
+    const doc = editor.getDoc();
+    const text = value === undefined ? '' : formatYamlProperty(key, value);
+    if (!block) {
+        if (!text) return;
+        doc.replaceRange(`---\n${text}\n---\n`, { line: 0, ch: 0 });
+    } else {
+        // Editor line 0 is the opening ---; the YAML runs up to the closing ---
+        const closing = block.replace(/\r?\n$/, '').split(/\r?\n/).length - 1;
+        const lines = [];
+        for (let i = 1; i < closing; i++) lines.push(editor.getLine(i));
+        const range = findYamlKeyLines(lines, key);
+
+        if (!range) {
+            if (!text) return;
+            doc.replaceRange(text + '\n', { line: closing, ch: 0 });
+        } else if (text) {
+            const from = { line: range.start + 1, ch: 0 };
+            const to = { line: range.end, ch: editor.getLine(range.end).length };
+            if (doc.getRange(from, to) === text) return;
+            doc.replaceRange(text, from, to);
+        } else if (lines.every((line, i) => (i >= range.start && i < range.end) || !line.trim())) {
+            // Removing the last property removes the block
+            doc.replaceRange('', { line: 0, ch: 0 }, doc.posFromIndex(block.length));
+        } else {
+            doc.replaceRange('', { line: range.start + 1, ch: 0 }, { line: range.end + 1, ch: 0 });
+        }
+    }
+    updateNoteInMemory();
+    renderProperties(note);
+}
+
+function setNoteProperty(key, value) {
+    updateCurrentNoteProperty(key, value);
+}
+
+function removeNoteProperty(key) {
+    updateCurrentNoteProperty(key, undefined);
+}
+
+function changePropertyType(key, type) {
+    settings.propertyTypes = { ...(settings.propertyTypes || {}), [key]: type };
+    saveSettings();
+    const { properties } = parseFrontmatter(editor.getValue());
+    setNoteProperty(key, coercePropertyValue(properties[key], type));
+    const note = notes.find(n => n.id === currentNoteId);
+    if (note) renderProperties(note);
+}
+
+function addNoteProperty() {
+    const keyInput = document.getElementById('propertyKeyInput');
+    const type = document.getElementById('propertyTypeSelect').value;
+    const key = keyInput.value.trim();
+    if (!key) return;
+    if (!/^[^\s:#\-\[\]{}][^:#]*$/.test(key)) {
+        showToast('Property names cannot contain : or #');
+        return;
+    }
+    const { properties, unparsed } = parseFrontmatter(editor ? editor.getValue() : '');
+    if (unparsed.length > 0) {
+        showToast('This frontmatter has YAML the properties panel cannot edit; edit it in the note');
+        return;
+    }
+    if (key in properties) {
+        showToast(`"${key}" already exists`);
+        return;
+    }
+
+    settings.propertyTypes = { ...(settings.propertyTypes || {}), [key]: type };
+    saveSettings();
+    const defaults = { text: '', number: null, date: new Date().toISOString().slice(0, 10), list: [], checkbox: false, link: null };
+    keyInput.value = '';
+    setNoteProperty(key, defaults[type]);
+}
+
+function handlePropertyKeyInputKeydown(e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addNoteProperty();
+    }
+}
+
+function _buildPropertyInput(key, value, type) {
+    let input;
+    switch (type) {
+        case 'checkbox':
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+            input.onchange = () => setNoteProperty(key, input.checked);
+            return input;
+        case 'number':
+            input = document.createElement('input');
+            input.type = 'number';
+            input.value = typeof value === 'number' ? value : '';
+            input.onchange = () => setNoteProperty(key, coercePropertyValue(input.value, 'number'));
+            break;
+        case 'date':
+            input = document.createElement('input');
+            input.type = 'date';
+            input.value = typeof value === 'string' ? value.slice(0, 10) : '';
+            input.onchange = () => setNoteProperty(key, input.value || null);
+            break;
+        case 'list':
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'Comma-separated';
+            input.value = Array.isArray(value) ? value.join(', ') : (value === null ? '' : String(value));
+            input.onchange = () => setNoteProperty(key, coercePropertyValue(input.value, 'list'));
+            break;
+        case 'link': {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'property-link-field';
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'sidebar-input';
+            input.placeholder = 'Note title';
+            input.setAttribute('list', 'propertyNoteOptions');
+            input.value = typeof value === 'string' ? value.replace(/^\[\[|\]\]$/g, '') : '';
+            input.onchange = () => setNoteProperty(key, coercePropertyValue(input.value, 'link'));
+            wrapper.appendChild(input);
+
+            const result = typeof value === 'string' && value ? resolveWikiLink(value.replace(/^\[\[|\]\]$/g, '')) : null;
+            const openBtn = document.createElement('button');
+            openBtn.className = 'property-btn';
+            openBtn.textContent = '→';
+            openBtn.title = result && result.status === 'resolved' ? `Open ${result.note.title}` : 'No matching note';
+            openBtn.disabled = !result || result.status !== 'resolved';
+            if (result && result.status === 'resolved') openBtn.onclick = () => switchToTab(result.note.id);
+            wrapper.appendChild(openBtn);
+            return wrapper;
+        }
+        default:
+            input = document.createElement('input');
+            input.type = 'text';
+            input.value = value === null || value === undefined ? '' : String(value);
+            input.onchange = () => setNoteProperty(key, input.value);
+    }
+    input.className = 'sidebar-input';
+    return input;
+}
+
+function renderProperties(note) {
+    const container = document.getElementById('noteProperties');
+    if (!container) return;
+
+    // The current note is read live from the editor so the form follows typing
+    const { properties, unparsed } = parseFrontmatter(getLiveNoteContent(note));
+    const keys = Object.keys(properties);
+    // Saving from the form would drop YAML it doesn't understand, so show it read-only
+    const readOnly = unparsed.length > 0;
+    const addRow = document.querySelector('.property-add');
+    if (addRow) addRow.style.display = readOnly ? 'none' : '';
+    container.innerHTML = '';
+    if (keys.length === 0) {
+        container.innerHTML = '<span class="empty-message">No properties</span>';
+        return;
+    }
+    if (readOnly) {
+        const notice = document.createElement('div');
+        notice.className = 'property-readonly-notice';
+        notice.textContent = 'Read-only: this frontmatter uses YAML the panel cannot edit (nested maps, block text, anchors or repeated keys). Edit it in the note.';
+        notice.title = unparsed.join('\n');
+        container.appendChild(notice);
+    }
+
+    keys.forEach(key => {
+        const value = properties[key];
+        const type = getPropertyType(key, value);
+
+        const row = document.createElement('div');
+        row.className = 'property-row';
+
+        const label = document.createElement('div');
+        label.className = 'property-label';
+        label.textContent = key;
+        label.title = key;
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'property-type-select';
+        typeSelect.title = 'Field type';
+        PROPERTY_TYPES.forEach(t => {
+            const option = document.createElement('option');
+            option.value = t;
+            option.textContent = t;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = type;
+        typeSelect.onchange = () => changePropertyType(key, typeSelect.value);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'property-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove property';
+        removeBtn.onclick = () => removeNoteProperty(key);
+
+        const header = document.createElement('div');
+        header.className = 'property-header';
+        header.append(label, typeSelect, removeBtn);
+        const input = _buildPropertyInput(key, value, type);
+        if (readOnly) {
+            removeBtn.disabled = true;
+            typeSelect.disabled = true;
+            // Link fields keep their open button
+            input.querySelectorAll('input').forEach(field => { field.disabled = true; });
+            if (input.tagName === 'INPUT') input.disabled = true;
+        }
+        row.append(header, input);
+        container.appendChild(row);
+    });
+
+    // Suggestions for note-link fields
+    const datalist = document.getElementById('propertyNoteOptions');
+    if (datalist) {
+        datalist.innerHTML = '';
+        notes.forEach(n => {
+            const option = document.createElement('option');
+            option.value = n.title;
+            datalist.appendChild(option);
+        });
+    }
+}
+
+// Export property functions
+window.addNoteProperty = addNoteProperty;
+window.handlePropertyKeyInputKeydown = handlePropertyKeyInputKeydown;
+
+/* ========== QUERY BLOCKS ========== */
+
+// ```query fenced blocks, one "key: value" clause per line
+const QUERY_BLOCK_REGEX = /^```query[ \t]*\r?\n([\s\S]*?)\r?\n?```[ \t]*$/gm;
+const QUERY_MAX_RESULTS = 500;
+
+let _queryRefreshTimer = null;
+
+// Parse query source into { filters, sort, group, view, fields, limit, errors }.
+// Clauses:  tag: draft, -archived    folder: Book 2    text: storm    title: chapter
+//           where: status = revision  created: > 2026-01-01  modified: last 7 days
+//           sort: modified desc  group: folder | tag | <property>  view: list | table
+//           fields: status, pov, words  limit: 20
+function parseQuery(source) {
+    const query = { filters: [], sort: null, group: null, view: 'list', fields: [], limit: QUERY_MAX_RESULTS, errors: [] };
+
+    source.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('//')) return;
+        const clause = line.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+        if (!clause) {
+            query.errors.push(`Can't read "${line.trim()}"`);
+            return;
+        }
+        const key = clause[1].toLowerCase();
+        const value = clause[2].trim();
+
+        switch (key) {
+            case 'tag':
+            case 'tags':
+                value.split(',').map(t => t.trim().replace(/^(-?)#/, '$1')).filter(Boolean).forEach(tag => {
+                    const negate = tag.startsWith('-');
+                    query.filters.push({ type: 'tag', value: (negate ? tag.slice(1) : tag).toLowerCase(), negate });
+                });
+                break;
+            case 'folder': {
+                const negate = value.startsWith('-');
+                const path = (negate ? value.slice(1) : value).trim();
+                const folderIds = findFoldersByPath(path);
+                if (folderIds.length === 0) query.errors.push(`Folder not found: ${path}`);
+                const ids = new Set();
+                folderIds.forEach(id => [id, ...getAllSubfolders(id)].forEach(f => ids.add(f)));
+                query.filters.push({ type: 'folder', value: ids, negate });
+                break;
+            }
+            case 'text':
+            case 'title': {
+                const negate = value.startsWith('-');
+                query.filters.push({ type: key, value: (negate ? value.slice(1) : value).trim().toLowerCase(), negate });
+                break;
+            }
+            case 'where': {
+                const where = value.match(/^([^=!<>]+?)\s*(!=|>=|<=|=|>|<|\bcontains\b|\bexists\b)\s*(.*)$/i);
+                if (!where) {
+                    query.errors.push(`Can't read condition "${value}"`);
+                    break;
+                }
+                query.filters.push({ type: 'where', key: where[1].trim(), op: where[2].toLowerCase(), value: parseYamlScalar(where[3]) });
+                break;
+            }
+            case 'created':
+            case 'modified': {
+                const range = parseDateCondition(value);
+                if (!range) query.errors.push(`Can't read date condition "${value}"`);
+                else query.filters.push({ type: 'date', field: key, ...range });
+                break;
+            }
+            case 'sort': {
+                const [field, direction] = value.split(/\s+/);
+                query.sort = { field: field || 'title', desc: (direction || '').toLowerCase() === 'desc' };
+                break;
+            }
+            case 'group':
+                query.group = value || null;
+                break;
+            case 'view':
+                if (value === 'table' || value === 'list') query.view = value;
+                else query.errors.push(`Unknown view "${value}" (use list or table)`);
+                break;
+            case 'fields':
+                query.fields = value.split(',').map(f => f.trim()).filter(Boolean);
+                break;
+            case 'limit':
+                query.limit = Math.max(1, Math.min(QUERY_MAX_RESULTS, parseInt(value, 10) || QUERY_MAX_RESULTS));
+                break;
+            default:
+                query.errors.push(`Unknown clause "${key}"`);
+        }
+    });
+
+    return query;
+}
+
+// "> 2026-01-01", "<= 2026-03", "2026-02-14", "last 7 days" → { op, date } as ISO strings
+function parseDateCondition(text) {
+    const last = text.match(/^last\s+(\d+)\s+(day|week|month)s?$/i);
+    if (last) {
+        const days = parseInt(last[1], 10) * { day: 1, week: 7, month: 30 }[last[2].toLowerCase()];
+        return { op: '>=', date: new Date(Date.now() - days * 86400000).toISOString() };
+    }
+    const match = text.match(/^(>=|<=|>|<|=)?\s*(\d{4}(?:-\d{2}(?:-\d{2})?)?)$/);
+    if (!match) return null;
+    return { op: match[1] || '=', date: match[2] };
+}
+
+// Folder ids whose path ends with "A/B" (case-insensitive)
+function findFoldersByPath(path) {
+    const wanted = path.split('/').map(seg => seg.trim().toLowerCase()).filter(Boolean);
+    if (wanted.length === 0) return [];
+    return folders.filter(f => {
+        const chain = getFolderChain(f.id).map(c => c.name.toLowerCase());
+        if (wanted.length > chain.length) return false;
+        const tail = chain.slice(chain.length - wanted.length);
+        return wanted.every((seg, i) => seg === tail[i]);
+    }).map(f => f.id);
+}
+
+function _compareDates(value, op, date) {
+    // Compare on the precision of the condition ("2026-01" matches all of January)
+    const actual = (value || '').slice(0, date.length);
+    switch (op) {
+        case '>': return actual > date;
+        case '>=': return actual >= date;
+        case '<': return actual < date;
+        case '<=': return actual <= date;
+        default: return actual === date;
+    }
+}
+
+function _compareProperty(actual, op, expected) {
+    if (op === 'exists') return actual !== undefined && actual !== null && actual !== '';
+    if (actual === undefined || actual === null) return op === '!=';
+
+    const norm = v => typeof v === 'string' ? v.toLowerCase() : v;
+    if (op === 'contains') {
+        const needle = String(expected).toLowerCase();
+        return Array.isArray(actual)
+            ? actual.some(item => String(item).toLowerCase().includes(needle))
+            : String(actual).toLowerCase().includes(needle);
+    }
+    if (op === '=' || op === '!=') {
+        const equal = Array.isArray(actual)
+            ? actual.some(item => norm(item) === norm(expected))
+            : norm(actual) === norm(expected) || String(actual).toLowerCase() === String(expected).toLowerCase();
+        return op === '=' ? equal : !equal;
+    }
+
+    const a = typeof actual === 'number' ? actual : String(actual);
+    const b = typeof actual === 'number' ? Number(expected) : String(expected);
+    switch (op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+    }
+    return false;
+}
+
+// Built-in fields plus frontmatter properties, for sorting, grouping and table columns
+function getQueryField(note, field, properties) {
+    switch (field.toLowerCase()) {
+        case 'title': return note.title;
+        case 'created': return note.created;
+        case 'modified': return note.modified;
+        case 'folder': return getNoteFolderNames(note).join('/');
+        case 'tags': return note.tags || [];
+        case 'words': return countWords(parseFrontmatter(getLiveNoteContent(note)).body);
+        default: return properties[field];
+    }
+}
+
+// Run a parsed query: [{ note, properties }] after filtering, sorting and limiting
+function runQuery(query, excludeIds = []) {
+    const results = [];
+    notes.forEach(note => {
+        if (excludeIds.includes(note.id)) return;
+        const content = getLiveNoteContent(note);
+        const { properties } = parseFrontmatter(content);
+        const tags = (note.id === currentNoteId ? extractTags(content) : note.tags || []).map(t => t.toLowerCase());
+
+        const matches = query.filters.every(filter => {
+            let ok;
+            switch (filter.type) {
+                case 'tag': ok = tags.includes(filter.value); break;
+                case 'folder': ok = filter.value.has(note.folderId); break;
+                case 'title': ok = note.title.toLowerCase().includes(filter.value); break;
+                case 'text': ok = note.title.toLowerCase().includes(filter.value) || content.toLowerCase().includes(filter.value); break;
+                case 'where': return _compareProperty(properties[filter.key], filter.op, filter.value);
+                case 'date': return _compareDates(note[filter.field], filter.op, filter.date);
+            }
+            return filter.negate ? !ok : ok;
+        });
+        if (matches) results.push({ note, properties });
+    });
+
+    const sort = query.sort || { field: 'title', desc: false };
+    results.sort((a, b) => {
+        const av = getQueryField(a.note, sort.field, a.properties);
+        const bv = getQueryField(b.note, sort.field, b.properties);
+        // Missing values sort last either way
+        if (av === undefined || av === null) return bv === undefined || bv === null ? 0 : 1;
+        if (bv === undefined || bv === null) return -1;
+        const cmp = typeof av === 'number' && typeof bv === 'number'
+            ? av - bv
+            : String(av).localeCompare(String(bv), undefined, { numeric: true, sensitivity: 'base' });
+        return sort.desc ? -cmp : cmp;
+    });
+
+    return results.slice(0, query.limit);
+}
+
+// [[groupLabel, results]] in first-seen order; notes with several tags appear in each
+function groupQueryResults(results, group) {
+    if (!group) return [['', results]];
+    const groups = new Map();
+    results.forEach(result => {
+        let keys = getQueryField(result.note, group, result.properties);
+        keys = Array.isArray(keys) ? keys : [keys];
+        if (keys.length === 0) keys = [null];
+        keys.forEach(key => {
+            const label = key === null || key === undefined || key === '' ? '(none)' : String(key);
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(result);
+        });
+    });
+    return [...groups.entries()];
+}
+
+function _formatQueryValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if ((field === 'created' || field === 'modified') && value) return new Date(value).toLocaleDateString();
+    if (typeof value === 'boolean') return value ? '✓' : '✗';
+    return String(value);
+}
+
+function _queryNoteLink(note) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'wiki-link';
+    link.dataset.noteId = note.id;
+    link.textContent = note.title;
+    return link;
+}
+
+function buildQueryBlock(source, embedStack) {
+    const block = document.createElement('div');
+    block.className = 'query-block';
+    block.dataset.query = source;
+    block.dataset.embedStack = embedStack.join(',');
+    block.contentEditable = 'false';
+
+    const query = parseQuery(source);
+    const results = runQuery(query, embedStack);
+
+    const header = document.createElement('div');
+    header.className = 'query-header';
+    header.textContent = `🔎 Query · ${results.length} result${results.length !== 1 ? 's' : ''}`;
+    block.appendChild(header);
+
+    if (query.errors.length > 0) {
+        const errors = document.createElement('div');
+        errors.className = 'query-error';
+        errors.textContent = query.errors.join(' · ');
+        block.appendChild(errors);
+    }
+
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-message';
+        empty.textContent = 'No matching notes';
+        block.appendChild(empty);
+        return block;
+    }
+
+    groupQueryResults(results, query.group).forEach(([label, group]) => {
+        if (query.group) {
+            const title = document.createElement('div');
+            title.className = 'query-group-title';
+            title.textContent = `${label} (${group.length})`;
+            block.appendChild(title);
+        }
+
+        if (query.view === 'table') {
+            const fields = query.fields.length > 0 ? query.fields : ['folder', 'modified'];
+            const table = document.createElement('table');
+            table.className = 'query-table';
+            const headRow = table.createTHead().insertRow();
+            ['title', ...fields].forEach(field => {
+                const th = document.createElement('th');
+                th.textContent = field;
+                headRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            group.forEach(({ note, properties }) => {
+                const row = body.insertRow();
+                row.insertCell().appendChild(_queryNoteLink(note));
+                fields.forEach(field => {
+                    row.insertCell().textContent = _formatQueryValue(field, getQueryField(note, field, properties));
+                });
+            });
+            block.appendChild(table);
+        } else {
+            const list = document.createElement('ul');
+            list.className = 'query-list';
+            group.forEach(({ note, properties }) => {
+                const item = document.createElement('li');
+                item.appendChild(_queryNoteLink(note));
+                const extra = query.fields.map(field => _formatQueryValue(field, getQueryField(note, field, properties))).filter(Boolean);
+                if (extra.length > 0) {
+                    const detail = document.createElement('span');
+                    detail.className = 'query-detail';
+                    detail.textContent = ' — ' + extra.join(' · ');
+                    item.appendChild(detail);
+                }
+                list.appendChild(item);
+            });
+            block.appendChild(list);
+        }
+    });
+
+    return block;
+}
+
+// What query blocks read from a note besides its body, as of its last save
+const _querySignatures = new Map();
+
+function _querySignature(note) {
+    return JSON.stringify([
+        note.title, note.folderId || null, note.tags || [], note.links || [], note.aliases || [],
+        parseFrontmatter(note.content || '').block
+    ]);
+}
+
+// Called for every saved or deleted (note = null) note. Body-only edits such as
+// autosaves while typing leave the query blocks alone.
+function scheduleQueryRefreshForNote(id, note) {
+    const signature = note ? _querySignature(note) : null;
+    if (_querySignatures.get(id) === signature) return;
+    if (note) _querySignatures.set(id, signature);
+    else _querySignatures.delete(id);
+    scheduleQueryRefresh();
+}
+
+// Re-run the query blocks in the preview shortly after notes change
+function scheduleQueryRefresh() {
+    clearTimeout(_queryRefreshTimer);
+    _queryRefreshTimer = setTimeout(refreshQueryBlocks, 300);
+}
+
+function refreshQueryBlocks() {
+    if (_previewEditing) return;
+    const preview = document.getElementById('markdownPreview');
+    if (!preview) return;
+    preview.querySelectorAll('.query-block').forEach(block => {
+        const stack = block.dataset.embedStack ? block.dataset.embedStack.split(',') : [];
+        block.replaceWith(buildQueryBlock(block.dataset.query, stack));
+    });
+}
+
+/* ========== SEARCH OPERATORS ========== */
+
+const SEARCH_SNIPPETS_PER_NOTE = 3;
+
+// Split a search into tokens, keeping "quoted phrases", /regex/flags and key:"quoted values" whole
+function _tokenizeSearch(text) {
+    const tokens = [];
+    const tokenRegex = /-?(?:[\w]+:)?(?:"[^"]*"?|\/(?:\\.|[^\/])+\/[gimsuy]*|[^\s"]+)/g;
+    let match;
+    while ((match = tokenRegex.exec(text)) !== null) {
+        tokens.push(match[0]);
+    }
+    return tokens;
+}
+
+// "2026-01-01..2026-02-01", ">2026-01-01", "2026-03" → list of { op, date } conditions
+function _parseSearchDateRange(value) {
+    const range = value.match(/^(\d{4}(?:-\d{2}(?:-\d{2})?)?)\.\.(\d{4}(?:-\d{2}(?:-\d{2})?)?)$/);
+    if (range) return [{ op: '>=', date: range[1] }, { op: '<=', date: range[2] }];
+    const single = parseDateCondition(value);
+    return single ? [single] : null;
+}
+
+// Parse the sidebar search into { terms, errors }.
+// Each term is { type, value, negate } with type one of
+// word, phrase, regex, tag, folder, title, path, created, modified.
+function parseSearchQuery(text) {
+    const terms = [];
+    const errors = [];
+
+    _tokenizeSearch(text).forEach(token => {
+        let negate = false;
+        if (token.startsWith('-') && token.length > 1) {
+            negate = true;
+            token = token.slice(1);
+        }
+        const unquote = value => value.replace(/^"|"$/g, '');
+
+        const regex = token.match(/^\/((?:\\.|[^\/])+)\/([gimsuy]*)$/);
+        if (regex) {
+            try {
+                // Always global so every match can be counted
+                terms.push({ type: 'regex', value: new RegExp(regex[1], regex[2].replace('g', '') + 'g'), negate });
+            } catch (e) {
+                errors.push(`Invalid regex: ${e.message}`);
+            }
+            return;
+        }
+        if (token.startsWith('"')) {
+            const phrase = unquote(token);
+            if (phrase) terms.push({ type: 'phrase', value: phrase.toLowerCase(), negate });
+            return;
+        }
+        if (/^#\w+$/.test(token)) {
+            terms.push({ type: 'tag', value: token.slice(1).toLowerCase(), negate });
+            return;
+        }
+
+        const operator = token.match(/^(\w+):(.*)$/);
+        if (operator) {
+            const key = operator[1].toLowerCase();
+            const value = unquote(operator[2]);
+            if (['tag', 'folder', 'title', 'path'].includes(key)) {
+                if (value) terms.push({ type: key, value: value.replace(/^#/, '').toLowerCase(), negate });
+                return;
+            }
+            if (key === 'created' || key === 'modified') {
+                const conditions = _parseSearchDateRange(value);
+                if (!conditions) errors.push(`Can't read date "${value}" (try ${key}:>2026-01-01 or ${key}:2026-01..2026-03)`);
+                else terms.push({ type: key, value: conditions, negate });
+                return;
+            }
+        }
+
+        terms.push({ type: 'word', value: token.toLowerCase(), negate });
+    });
+
+    return { terms, errors };
+}
+
+// All matches of a term in text as [start, end] pairs
+function _findTermMatches(term, text) {
+    const ranges = [];
+    if (term.type === 'regex') {
+        term.value.lastIndex = 0;
+        let match;
+        while ((match = term.value.exec(text)) !== null) {
+            if (match[0].length === 0) { term.value.lastIndex++; continue; }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        return ranges;
+    }
+    const lower = text.toLowerCase();
+    let index = lower.indexOf(term.value);
+    while (index !== -1) {
+        ranges.push([index, index + term.value.length]);
+        index = lower.indexOf(term.value, index + term.value.length);
+    }
+    return ranges;
+}
+
+// Does a note satisfy one term? Returns { ok, score, ranges } where ranges are content matches.
+function _matchSearchTerm(term, note, content) {
+    switch (term.type) {
+        case 'tag': {
+            const ok = (note.tags || []).some(tag => tag.toLowerCase() === term.value);
+            return { ok, score: ok ? 5 : 0, ranges: [] };
+        }
+        case 'folder': {
+            const ids = new Set();
+            findFoldersByPath(term.value).forEach(id => [id, ...getAllSubfolders(id)].forEach(f => ids.add(f)));
+            return { ok: ids.has(note.folderId), score: 0, ranges: [] };
+        }
+        case 'title': {
+            const ok = note.title.toLowerCase().includes(term.value);
+            return { ok, score: ok ? 10 : 0, ranges: [] };
+        }
+        case 'path': {
+            const ok = getNoteLinkPath(note).toLowerCase().includes(term.value);
+            return { ok, score: ok ? 3 : 0, ranges: [] };
+        }
+        case 'created':
+        case 'modified': {
+            const ok = term.value.every(c => _compareDates(note[term.type], c.op, c.date));
+            return { ok, score: 0, ranges: [] };
+        }
+        default: {
+            // word / phrase / regex: title, tags and content
+            const inTitle = _findTermMatches(term, note.title).length > 0;
+            const inTags = term.type === 'word' && (note.tags || []).some(tag => tag.toLowerCase().includes(term.value));
+            const ranges = _findTermMatches(term, content);
+            const ok = inTitle || inTags || ranges.length > 0;
+            return { ok, score: (inTitle ? 10 : 0) + (inTags ? 5 : 0) + Math.min(ranges.length, 10), ranges };
+        }
+    }
+}
+
+// Matching notes, best first: [{ note, score, matchCount, snippets: [{ line, text, ranges }] }]
+function runSearch(parsed, candidates = notes) {
+    if (parsed.terms.length === 0) return [];
+    const results = [];
+
+    candidates.forEach(note => {
+        const content = getLiveNoteContent(note);
+        let score = 0;
+        let ranges = [];
+        for (const term of parsed.terms) {
+            const result = _matchSearchTerm(term, note, content);
+            if (result.ok === term.negate) return;
+            if (!term.negate) {
+                score += result.score;
+                ranges = ranges.concat(result.ranges);
+            }
+        }
+        results.push({ note, score, matchCount: ranges.length, snippets: buildSearchSnippets(content, ranges) });
+    });
+
+    // Ties go to the most recently modified note
+    return results.sort((a, b) => b.score - a.score || (b.note.modified || '').localeCompare(a.note.modified || ''));
+}
+
+// Group content matches by line: [{ line, text, ranges }] with ranges relative to the line
+function buildSearchSnippets(content, ranges) {
+    if (ranges.length === 0) return [];
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineOf = index => {
+        let lo = 0, hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    };
+
+    const byLine = new Map();
+    ranges.sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+        const line = lineOf(from);
+        if (!byLine.has(line)) {
+            if (byLine.size >= SEARCH_SNIPPETS_PER_NOTE) return;
+            byLine.set(line, []);
+        }
+        const start = lineStarts[line];
+        const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : content.length;
+        byLine.get(line).push([from - start, Math.min(to, end) - start]);
+    });
+
+    return [...byLine.entries()].map(([line, lineRanges]) => {
+        const start = lineStarts[line];
+        const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : content.length;
+        return { line, text: content.slice(start, end), ranges: lineRanges };
+    });
+}
+
+// Snippet HTML: the matches in <mark>, trimmed to about 40 characters around the first one
+function _renderSnippetHtml(snippet) {
+    const text = snippet.text;
+    const first = snippet.ranges[0][0];
+    const start = Math.max(0, first - 40);
+    const end = Math.min(text.length, start + 140);
+
+    let html = start > 0 ? '…' : '';
+    let pos = start;
+    snippet.ranges.forEach(([from, to]) => {
+        if (from < pos || from >= end) return;
+        html += escapeHtml(text.slice(pos, from)) + `<mark>${escapeHtml(text.slice(from, Math.min(to, end)))}</mark>`;
+        pos = Math.min(to, end);
+    });
+    html += escapeHtml(text.slice(pos, end)) + (end < text.length ? '…' : '');
+    return html;
+}
+
+function renderSearchResults(container, results) {
+    const total = results.reduce((sum, r) => sum + r.matchCount, 0);
+    const summary = document.createElement('div');
+    summary.className = 'search-summary';
+    summary.textContent = `${results.length} note${results.length !== 1 ? 's' : ''}` +
+        (total > 0 ? ` · ${total} match${total !== 1 ? 'es' : ''}` : '');
+    container.appendChild(summary);
+
+    results.forEach(result => {
+        const { note } = result;
+        const item = document.createElement('div');
+        item.className = 'search-result';
+
+        const header = document.createElement('div');
+        header.className = `file-item search-result-title ${currentNoteId === note.id ? 'active' : ''}`;
+        header.setAttribute('data-note-id', note.id);
+        const folderPath = getNoteFolderNames(note).join('/');
+        header.innerHTML = `
+            <span class="icon">📄</span>
+            <span class="item-name" title="${escapeAttr(getNoteLinkPath(note))}">${escapeHtml(note.title)}</span>
+            ${folderPath ? `<span class="search-result-path">${escapeHtml(folderPath)}</span>` : ''}
+            ${result.matchCount > 0 ? `<span class="search-result-count">${result.matchCount}</span>` : ''}
+        `;
+        header.onclick = () => openNote(note.id);
+        item.appendChild(header);
+
+        result.snippets.forEach(snippet => {
+            const row = document.createElement('div');
+            row.className = 'search-snippet';
+            row.innerHTML = `<span class="search-snippet-line">${snippet.line + 1}</span><span class="search-snippet-text">${_renderSnippetHtml(snippet)}</span>`;
+            row.onclick = () => {
+                if (currentNoteId !== note.id) openNote(note.id);
+                scrollToLineInEditor(editor, snippet.line);
+            };
+            item.appendChild(row);
+        });
+
+        container.appendChild(item);
+    });
+}
+
+/* ========== SEARCH INDEX ========== */
+
+// Bump when tokenizing changes so stored indexes get rebuilt
+const SEARCH_INDEX_VERSION = 2;
+const SEARCH_INDEX_FLUSH_DELAY = 1000;
+
+// postings: term → Map(noteId → count); notes: noteId → { noteId, signature, terms: { term: count } }.
+// Terms are lowercase words, plus "tag:name" and "link:target" entries. A tag term stores the
+// tag as the note spells it in place of a count, so suggestions keep the vault's casing.
+let _searchIndex = { ready: false, postings: new Map(), notes: new Map() };
+let _indexDirtyTerms = new Set();
+let _indexDirtyNotes = new Set();
+let _indexFlushTimer = null;
+
+function tokenizeForIndex(text) {
+    const counts = {};
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    words.forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+    return counts;
+}
+
+function buildNoteIndexTerms(note) {
+    const content = note.content || '';
+    const terms = tokenizeForIndex(`${note.title}\n${content}`);
+    extractTags(content).forEach(tag => {
+        const term = 'tag:' + tag.toLowerCase();
+        if (!(term in terms)) terms[term] = tag;
+    });
+    extractLinks(content).forEach(raw => {
+        // Both the full target and its title part, so folder-qualified links are found by title
+        const link = parseWikiLink(raw);
+        terms['link:' + link.target.toLowerCase()] = 1;
+        terms['link:' + link.title.toLowerCase()] = 1;
+    });
+    return terms;
+}
+
+// Cheap change detector used on startup; "Verify" re-tokenizes everything instead
+function _noteIndexSignature(note) {
+    return `${note.modified}|${(note.content || '').length}|${note.title}`;
+}
+
+function _setNoteIndexTerms(noteId, terms, signature) {
+    const old = _searchIndex.notes.get(noteId);
+    const oldTerms = old ? old.terms : {};
+    const newTerms = terms || {};
+
+    Object.keys(oldTerms).forEach(term => {
+        if (newTerms[term] === oldTerms[term]) return;
+        const postings = _searchIndex.postings.get(term);
+        if (postings) {
+            postings.delete(noteId);
+            if (postings.size === 0) _searchIndex.postings.delete(term);
+        }
+        _indexDirtyTerms.add(term);
+    });
+    Object.keys(newTerms).forEach(term => {
+        if (newTerms[term] === oldTerms[term]) return;
+        if (!_searchIndex.postings.has(term)) _searchIndex.postings.set(term, new Map());
+        _searchIndex.postings.get(term).set(noteId, newTerms[term]);
+        _indexDirtyTerms.add(term);
+    });
+
+    if (terms) _searchIndex.notes.set(noteId, { noteId, signature, terms });
+    else _searchIndex.notes.delete(noteId);
+    _indexDirtyNotes.add(noteId);
+    _scheduleIndexFlush();
+}
+
+function indexNote(note) {
+    if (!_searchIndex.ready) return;
+    _setNoteIndexTerms(note.id, buildNoteIndexTerms(note), _noteIndexSignature(note));
+}
+
+function unindexNote(noteId) {
+    if (!_searchIndex.ready || !_searchIndex.notes.has(noteId)) return;
+    _setNoteIndexTerms(noteId, null);
+}
+
+function _scheduleIndexFlush() {
+    clearTimeout(_indexFlushTimer);
+    _indexFlushTimer = setTimeout(flushSearchIndex, SEARCH_INDEX_FLUSH_DELAY);
+}
+
+// Persist changed terms and notes. If the page closes first, startup verification catches up.
+async function flushSearchIndex() {
+    clearTimeout(_indexFlushTimer);
+    if (_indexDirtyTerms.size === 0 && _indexDirtyNotes.size === 0) return;
+
+    const termRecords = [..._indexDirtyTerms].map(term => {
+        const postings = _searchIndex.postings.get(term);
+        return [term, postings ? { term, postings: Object.fromEntries(postings) } : null];
+    });
+    const noteRecords = [..._indexDirtyNotes].map(noteId => [noteId, _searchIndex.notes.get(noteId) || null]);
+    _indexDirtyTerms = new Set();
+    _indexDirtyNotes = new Set();
+
+    try {
+        await saveSearchIndexRecords(termRecords, noteRecords);
+    } catch (e) {
+        console.error('Failed to save search index:', e);
+    }
+}
+
+async function loadSearchIndex() {
+    if (settings.searchIndexVersion !== SEARCH_INDEX_VERSION) {
+        await rebuildSearchIndex();
+        return;
+    }
+
+    const records = await loadSearchIndexRecords();
+    _searchIndex.postings = new Map(records.terms.map(r => [r.term, new Map(Object.entries(r.postings))]));
+    _searchIndex.notes = new Map(records.notes.map(r => [r.noteId, r]));
+    _searchIndex.ready = true;
+
+    const fixed = await verifySearchIndex(false);
+    if (fixed > 0) console.log(`Search index: re-indexed ${fixed} changed notes`);
+}
+
+// Bring the index in line with the notes. A quick check compares signatures;
+// a full check re-tokenizes every note and rebuilds postings from the note records.
+// Returns the number of notes that had to be fixed.
+async function verifySearchIndex(full) {
+    if (!_searchIndex.ready) return 0;
+    let fixed = 0;
+    const noteIds = new Set(notes.map(n => n.id));
+
+    notes.forEach(note => {
+        const record = _searchIndex.notes.get(note.id);
+        const signature = _noteIndexSignature(note);
+        if (record && record.signature === signature && !full) return;
+
+        const terms = buildNoteIndexTerms(note);
+        if (record && record.signature === signature && _sameTermCounts(record.terms, terms)) return;
+        _setNoteIndexTerms(note.id, terms, signature);
+        fixed++;
+    });
+
+    [..._searchIndex.notes.keys()].forEach(noteId => {
+        if (noteIds.has(noteId)) return;
+        _setNoteIndexTerms(noteId, null);
+        fixed++;
+    });
+
+    if (full) {
+        // Postings must match the per-note records exactly
+        const expected = new Map();
+        _searchIndex.notes.forEach(record => Object.entries(record.terms).forEach(([term, count]) => {
+            if (!expected.has(term)) expected.set(term, new Map());
+            expected.get(term).set(record.noteId, count);
+        }));
+        const allTerms = new Set([...expected.keys(), ..._searchIndex.postings.keys()]);
+        allTerms.forEach(term => {
+            const want = expected.get(term);
+            const have = _searchIndex.postings.get(term);
+            const same = want && have && want.size === have.size && [...want].every(([id, count]) => have.get(id) === count);
+            if (same) return;
+            if (want) _searchIndex.postings.set(term, want);
+            else _searchIndex.postings.delete(term);
+            _indexDirtyTerms.add(term);
+        });
+    }
+
+    await flushSearchIndex();
+    return fixed;
+}
+
+function _sameTermCounts(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+async function rebuildSearchIndex() {
+    _searchIndex = { ready: false, postings: new Map(), notes: new Map() };
+    _indexDirtyTerms = new Set();
+    _indexDirtyNotes = new Set();
+    await clearSearchIndexRecords();
+
+    _searchIndex.ready = true;
+    notes.forEach(note => {
+        _setNoteIndexTerms(note.id, buildNoteIndexTerms(note), _noteIndexSignature(note));
+    });
+    await flushSearchIndex();
+
+    settings.searchIndexVersion = SEARCH_INDEX_VERSION;
+    saveSettings();
+}
+
+// Notes with a word containing the fragment (substring match over the term list)
+function _indexNotesWithFragment(fragment) {
+    const ids = new Set();
+    _searchIndex.postings.forEach((postings, term) => {
+        if (term.includes(':') || !term.includes(fragment)) return;
+        postings.forEach((count, id) => ids.add(id));
+    });
+    return ids;
+}
+
+function _intersect(a, b) {
+    return a === null ? b : new Set([...a].filter(id => b.has(id)));
+}
+
+// Notes containing every whole word of the text, or null when the index can't say
+function getIndexedNotesWithWords(text) {
+    if (!_searchIndex.ready) return null;
+    const words = Object.keys(tokenizeForIndex(text));
+    if (words.length === 0) return null;
+    let ids = null;
+    words.forEach(word => {
+        ids = _intersect(ids, new Set((_searchIndex.postings.get(word) || new Map()).keys()));
+    });
+    return ids;
+}
+
+// Notes linking to any of the given names, or null when the index isn't loaded
+function getIndexedLinkSources(names) {
+    if (!_searchIndex.ready) return null;
+    const ids = new Set();
+    names.forEach(name => {
+        const postings = _searchIndex.postings.get('link:' + name.toLowerCase());
+        if (postings) postings.forEach((count, id) => ids.add(id));
+    });
+    return ids;
+}
+
+function getIndexedNotesWithTag(tag) {
+    if (!_searchIndex.ready) return null;
+    return new Set((_searchIndex.postings.get('tag:' + tag.toLowerCase()) || new Map()).keys());
+}
+
+// The spelling most notes use for a tag, from an iterable of per-note spellings
+function mostCommonTagSpelling(spellings) {
+    const counts = new Map();
+    for (const tag of spellings) counts.set(tag, (counts.get(tag) || 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+// tag → number of notes using it, or null when the index isn't loaded.
+// Tags match case-insensitively; each is keyed by its most common spelling.
+function getIndexedTagCounts() {
+    if (!_searchIndex.ready) return null;
+    const counts = new Map();
+    _searchIndex.postings.forEach((postings, term) => {
+        if (term.startsWith('tag:')) counts.set(mostCommonTagSpelling(postings.values()), postings.size);
+    });
+    return counts;
+}
+
+// Notes that could match a parsed search; runSearch still checks each one exactly
+function getSearchCandidates(parsed) {
+    if (!_searchIndex.ready) return notes;
+    let ids = null;
+
+    parsed.terms.forEach(term => {
+        if (term.negate) return;
+        if (term.type === 'tag') {
+            ids = _intersect(ids, getIndexedNotesWithTag(term.value));
+        } else if (term.type === 'word' || term.type === 'phrase') {
+            // Each word of the term has to appear inside some indexed word
+            Object.keys(tokenizeForIndex(term.value)).forEach(fragment => {
+                ids = _intersect(ids, _indexNotesWithFragment(fragment));
+            });
+        }
+    });
+
+    if (ids === null) return notes;
+    // The open note may have unsaved edits the index hasn't seen
+    return notes.filter(n => ids.has(n.id) || n.id === currentNoteId);
+}
+
+function updateSearchIndexStatus() {
+    const status = document.getElementById('searchIndexStatus');
+    if (!status) return;
+    status.textContent = _searchIndex.ready
+        ? `${_searchIndex.notes.size} notes · ${_searchIndex.postings.size} terms indexed`
+        : 'Not loaded';
+}
+
+async function verifySearchIndexNow() {
+    const fixed = await verifySearchIndex(true);
+    updateSearchIndexStatus();
+    showToast(fixed > 0 ? `Search index repaired (${fixed} note${fixed !== 1 ? 's' : ''} re-indexed)` : 'Search index is up to date');
+}
+
+async function rebuildSearchIndexNow() {
+    await rebuildSearchIndex();
+    updateSearchIndexStatus();
+    showToast('Search index rebuilt');
+}
+
+// Export search index functions
+window.verifySearchIndexNow = verifySearchIndexNow;
+window.rebuildSearchIndexNow = rebuildSearchIndexNow;
+
+/* ========== VAULT FIND AND REPLACE ========== */
+
+const VAULT_SEARCH_MAX_MATCHES = 2000;
+const VAULT_SEARCH_DELAY = 200;
+
+// results: [{ note, content, matches }] grouped by note; matches: the same matches as one flat list.
+// Each match: { key, position, note, from, to, match, line, lineStart, lineText }
+let _vaultSearch = { results: [], matches: [], excluded: new Set(), current: -1, truncated: false };
+let _vaultSearchTimer = null;
+
+function toggleVaultScope() {
+    searchState.vaultScope = !searchState.vaultScope;
+    document.getElementById('vaultScopeBtn').classList.toggle('active', searchState.vaultScope);
+    document.getElementById('vaultScopeRow').style.display = searchState.vaultScope ? 'flex' : 'none';
+    if (searchState.vaultScope) populateVaultScopeFolders();
+    clearVaultSearch();
+    performSearch();
+}
+
+function populateVaultScopeFolders() {
+    const select = document.getElementById('vaultScopeFolder');
+    if (!select) return;
+    const previous = select.value;
+
+    select.innerHTML = '<option value="">All folders</option>';
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            select.appendChild(option);
+        });
+    select.value = previous;
+    if (select.value !== previous) select.value = '';
+}
+
+function clearVaultSearch() {
+    clearTimeout(_vaultSearchTimer);
+    _vaultSearch = { results: [], matches: [], excluded: new Set(), current: -1, truncated: false };
+    const container = document.getElementById('vaultSearchResults');
+    if (container) container.innerHTML = '';
+}
+
+function scheduleVaultSearch() {
+    clearTimeout(_vaultSearchTimer);
+    _vaultSearchTimer = setTimeout(performVaultSearch, VAULT_SEARCH_DELAY);
+}
+
+// Notes inside the chosen folder subtree and carrying the chosen tag
+function getVaultScopeNotes() {
+    const folderId = document.getElementById('vaultScopeFolder').value;
+    const tag = document.getElementById('vaultScopeTag').value.trim().replace(/^#/, '').toLowerCase();
+    const folderIds = folderId ? new Set([folderId, ...getAllSubfolders(folderId)]) : null;
+
+    // Plain text can be narrowed through the index; a regex has to see every note
+    const candidates = searchState.useRegex
+        ? notes
+        : getSearchCandidates({ terms: [{ type: 'phrase', value: searchState.query, negate: false }] });
+
+    return candidates.filter(note =>
+        (!folderIds || folderIds.has(note.folderId)) &&
+        (!tag || (note.tags || []).some(t => t.toLowerCase() === tag)));
+}
+
+function performVaultSearch() {
+    clearTimeout(_vaultSearchTimer);
+    _vaultSearch = { results: [], matches: [], excluded: new Set(), current: -1, truncated: false };
+
+    const pattern = searchState.query ? buildSearchPattern() : null;
+    if (pattern) {
+        getVaultScopeNotes()
+            .sort((a, b) => getNoteLinkPath(a).localeCompare(getNoteLinkPath(b)))
+            .forEach(note => {
+                if (_vaultSearch.truncated) return;
+                const content = getLiveNoteContent(note);
+                const matches = _findVaultMatches(note, content, pattern);
+                if (matches.length === 0) return;
+                _vaultSearch.results.push({ note, content, matches });
+                _vaultSearch.matches.push(...matches);
+            });
+        if (_vaultSearch.matches.length > 0) _vaultSearch.current = 0;
+    }
+
+    renderVaultSearchResults();
+    updateSearchCount();
+}
+
+function _findVaultMatches(note, content, pattern) {
+    const matches = [];
+    let line = 0;
+    let lineStart = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(content)) !== null) {
+        // Empty matches (e.g. /x*/) have nothing to replace
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        if (_vaultSearch.matches.length + matches.length >= VAULT_SEARCH_MAX_MATCHES) {
+            _vaultSearch.truncated = true;
+            break;
+        }
+
+        let newline;
+        while ((newline = content.indexOf('\n', lineStart)) !== -1 && newline < match.index) {
+            line++;
+            lineStart = newline + 1;
+        }
+        const lineEnd = content.indexOf('\n', match.index);
+        matches.push({
+            key: `${note.id}:${match.index}`,
+            position: _vaultSearch.matches.length + matches.length,
+            note,
+            from: match.index,
+            to: match.index + match[0].length,
+            match,
+            line,
+            lineStart,
+            lineText: content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd)
+        });
+    }
+    return matches;
+}
+
+// Replacement for one match; in regex mode $1, $<name>, $&, $`, $' and $$ expand like String.replace
+function getVaultReplacement(m, replaceText) {
+    if (!searchState.useRegex) return replaceText;
+    const groups = m.match;
+    return replaceText.replace(/\$(\$|&|`|'|\d\d?|<([^>]*)>)/g, (token, ref, name) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return groups[0];
+        if (ref === '`') return groups.input.slice(0, m.from);
+        if (ref === "'") return groups.input.slice(m.to);
+        if (name !== undefined) return groups.groups ? (groups.groups[name] || '') : token;
+
+        const two = parseInt(ref, 10);
+        if (ref.length === 2 && two > 0 && two < groups.length) return groups[two] || '';
+        const one = parseInt(ref[0], 10);
+        if (one > 0 && one < groups.length) return (groups[one] || '') + ref.slice(1);
+        return token;
+    });
+}
+
+function _renderVaultMatchHtml(m, replacement) {
+    const text = m.lineText;
+    const from = m.from - m.lineStart;
+    const to = Math.min(m.to - m.lineStart, text.length);
+    const start = Math.max(0, from - 40);
+    const end = Math.min(text.length, Math.max(to + 40, start + 140));
+
+    let html = (start > 0 ? '…' : '') + escapeHtml(text.slice(start, from));
+    html += replacement === null
+        ? `<mark>${escapeHtml(m.match[0])}</mark>`
+        : `<del>${escapeHtml(m.match[0])}</del><ins>${escapeHtml(replacement)}</ins>`;
+    html += escapeHtml(text.slice(to, end)) + (end < text.length ? '…' : '');
+    return html;
+}
+
+function renderVaultSearchResults() {
+    const container = document.getElementById('vaultSearchResults');
+    if (!container) return;
+    const scrollTop = container.scrollTop;
+    container.innerHTML = '';
+    if (!searchState.vaultScope || !searchState.query) return;
+
+    const replacing = document.getElementById('replaceRow').style.display !== 'none';
+    const replaceText = document.getElementById('replaceTextInput').value;
+    const { results, matches, excluded } = _vaultSearch;
+
+    const summary = document.createElement('div');
+    summary.className = 'vault-search-summary';
+    container.appendChild(summary);
+    if (matches.length === 0) {
+        summary.textContent = buildSearchPattern() ? 'No matches in scope' : 'Invalid regular expression';
+        return;
+    }
+    const selected = matches.filter(m => !excluded.has(m.key)).length;
+    summary.textContent = `${matches.length} match${matches.length !== 1 ? 'es' : ''} in ${results.length} note${results.length !== 1 ? 's' : ''}` +
+        (replacing ? ` · ${selected} selected` : '') +
+        (_vaultSearch.truncated ? ` · showing the first ${VAULT_SEARCH_MAX_MATCHES}` : '');
+
+    results.forEach(result => {
+        const group = document.createElement('div');
+        group.className = 'vault-result';
+
+        const header = document.createElement('div');
+        header.className = 'vault-result-title';
+        const folderPath = getNoteFolderNames(result.note).join('/');
+        header.innerHTML = `
+            ${replacing ? '<input type="checkbox" title="Include every match in this note">' : ''}
+            <span class="item-name">📄 ${escapeHtml(result.note.title)}</span>
+            ${folderPath ? `<span class="search-result-path">${escapeHtml(folderPath)}</span>` : ''}
+            <span class="search-result-count">${result.matches.length}</span>
+        `;
+        if (replacing) {
+            const included = result.matches.filter(m => !excluded.has(m.key)).length;
+            const checkbox = header.querySelector('input');
+            checkbox.checked = included === result.matches.length;
+            checkbox.indeterminate = included > 0 && included < result.matches.length;
+            checkbox.onchange = () => setVaultNoteIncluded(result, checkbox.checked);
+        }
+        header.querySelector('.item-name').onclick = () => openVaultMatch(result.matches[0]);
+        group.appendChild(header);
+
+        result.matches.forEach(m => {
+            const isExcluded = replacing && excluded.has(m.key);
+            const row = document.createElement('div');
+            row.className = `vault-match${m.position === _vaultSearch.current ? ' current' : ''}${isExcluded ? ' excluded' : ''}`;
+            row.setAttribute('data-match-position', m.position);
+            row.innerHTML = `
+                ${replacing ? '<input type="checkbox" title="Include this match">' : ''}
+                <span class="search-snippet-line">${m.line + 1}</span>
+                <span class="vault-match-text">${_renderVaultMatchHtml(m, replacing ? getVaultReplacement(m, replaceText) : null)}</span>
+            `;
+            if (replacing) {
+                const checkbox = row.querySelector('input');
+                checkbox.checked = !isExcluded;
+                checkbox.onchange = () => setVaultMatchIncluded(m, checkbox.checked);
+            }
+            row.querySelector('.vault-match-text').onclick = () => openVaultMatch(m);
+            group.appendChild(row);
+        });
+
+        container.appendChild(group);
+    });
+    container.scrollTop = scrollTop;
+}
+
+function setVaultMatchIncluded(m, included) {
+    if (included) _vaultSearch.excluded.delete(m.key);
+    else _vaultSearch.excluded.add(m.key);
+    renderVaultSearchResults();
+}
+
+function setVaultNoteIncluded(result, included) {
+    result.matches.forEach(m => {
+        if (included) _vaultSearch.excluded.delete(m.key);
+        else _vaultSearch.excluded.add(m.key);
+    });
+    renderVaultSearchResults();
+}
+
+function stepVaultMatch(delta) {
+    if (_vaultSearch.matches.length === 0) {
+        performVaultSearch();
+        return;
+    }
+    const count = _vaultSearch.matches.length;
+    openVaultMatch(_vaultSearch.matches[(_vaultSearch.current + delta + count) % count]);
+}
+
+function openVaultMatch(m) {
+    _vaultSearch.current = m.position;
+    if (currentNoteId !== m.note.id) openNote(m.note.id);
+
+    // Select the match only while the note still holds the text it was found in
+    if (editor && currentEditMode !== 'preview' && getLiveNoteContent(m.note) === m.match.input) {
+        const doc = editor.getDoc();
+        editor.setSelection(doc.posFromIndex(m.from), doc.posFromIndex(m.to));
+        editor.scrollIntoView(doc.posFromIndex(m.from), 100);
+    } else {
+        scrollToLineInEditor(editor, m.line);
+    }
+
+    const container = document.getElementById('vaultSearchResults');
+    container.querySelectorAll('.vault-match.current').forEach(row => row.classList.remove('current'));
+    const row = container.querySelector(`.vault-match[data-match-position="${m.position}"]`);
+    if (row) {
+        row.classList.add('current');
+        row.scrollIntoView({ block: 'nearest' });
+    }
+    updateSearchCount();
+}
+
+// Replace the selected matches (or just the current one) across notes as one undoable batch
+async function replaceVaultMatches(currentOnly) {
+    const { results, matches, excluded } = _vaultSearch;
+    if (matches.length === 0) return;
+    const replaceText = document.getElementById('replaceTextInput').value;
+    searchState.replaceText = replaceText;
+
+    const chosen = new Set(currentOnly
+        ? [matches[_vaultSearch.current]].filter(Boolean)
+        : matches.filter(m => !excluded.has(m.key)));
+    if (chosen.size === 0) {
+        showToast('No matches selected');
+        return;
+    }
+
+    // Offsets only hold for the content the matches were found in
+    const affected = results.filter(r => r.matches.some(m => chosen.has(m)));
+    const stale = affected.filter(r => getLiveNoteContent(r.note) !== r.content);
+    if (stale.length > 0) {
+        performVaultSearch();
+        showToast(`${stale.length} note${stale.length !== 1 ? 's' : ''} changed since the search — review the refreshed matches`);
+        return;
+    }
+
+    const changes = affected.map(r => ({
+        note: r.note,
+        edits: r.matches.filter(m => chosen.has(m)).map(m => ({ from: m.from, to: m.to, text: getVaultReplacement(m, replaceText) }))
+    }));
+    await applyBatchEdits(changes,
+        `Replaced ${chosen.size} match${chosen.size !== 1 ? 'es' : ''} in ${changes.length} note${changes.length !== 1 ? 's' : ''}`);
+    performVaultSearch();
+}
+
+// Export vault find and replace functions
+window.toggleVaultScope = toggleVaultScope;
+window.scheduleVaultSearch = scheduleVaultSearch;
+
+/* ========== SMART FOLDERS ========== */
+
+const SMART_FOLDER_MAX_ITEMS = 50;
+
+let _smartFolderRefreshTimer = null;
+
+// Save whatever is in the sidebar search as a smart folder
+function saveCurrentSearch() {
+    const query = document.getElementById('searchInput').value.trim();
+    if (!query) {
+        showToast('Type a search first, then save it');
+        return;
+    }
+    const existing = smartFolders.find(f => f.query === query);
+    if (existing) {
+        showToast(`Already saved as "${existing.name}"`);
+        return;
+    }
+
+    const smartFolder = {
+        id: generateId(),
+        name: query,
+        query,
+        collapsed: false,
+        order: Date.now(),
+        created: new Date().toISOString()
+    };
+    smartFolders.push(smartFolder);
+    saveSmartFolder(smartFolder);
+
+    // Back to the tree, where the new smart folder shows its results
+    document.getElementById('searchInput').value = '';
+    renderFileExplorer();
+
+    isCreating = true;
+    renameTarget = { type: 'smartFolder', id: smartFolder.id };
+    openRenameModal(smartFolder.name);
+}
+
+// Live result set of a smart folder: { results, error }
+function getSmartFolderResults(smartFolder) {
+    const parsed = parseSearchQuery(smartFolder.query);
+    if (parsed.errors.length > 0) return { results: [], error: parsed.errors.join(' · ') };
+    return { results: runSearch(parsed, getSearchCandidates(parsed)), error: null };
+}
+
+function renderSmartFolders(explorer) {
+    if (smartFolders.length === 0) return;
+
+    const section = document.createElement('div');
+    section.className = 'smart-folders';
+    [...smartFolders]
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .forEach(smartFolder => {
+            const { results, error } = getSmartFolderResults(smartFolder);
+            section.appendChild(createSmartFolderElement(smartFolder, results.length, error));
+            if (smartFolder.collapsed) return;
+
+            results.slice(0, SMART_FOLDER_MAX_ITEMS).forEach(({ note }) => {
+                section.appendChild(createSmartFolderNoteElement(note));
+            });
+            if (results.length > SMART_FOLDER_MAX_ITEMS) {
+                const more = document.createElement('div');
+                more.className = 'smart-folder-more';
+                more.textContent = `+${results.length - SMART_FOLDER_MAX_ITEMS} more — show in search`;
+                more.onclick = () => openSmartFolderInSearch(smartFolder.id);
+                section.appendChild(more);
+            }
+        });
+    explorer.appendChild(section);
+}
+
+function createSmartFolderElement(smartFolder, count, error) {
+    const div = document.createElement('div');
+    div.className = 'folder-item smart-folder';
+    div.setAttribute('data-smart-folder-id', smartFolder.id);
+    div.title = smartFolder.query;
+    div.onclick = () => toggleSmartFolder(smartFolder.id);
+
+    const escapedName = smartFolder.name.replace(/'/g, "\\'");
+    div.innerHTML = `
+        <span class="folder-toggle ${smartFolder.collapsed ? '' : 'open'}">▶</span>
+        <span class="icon">🔍</span>
+        <span class="item-name"></span>
+        <span class="smart-folder-count ${error ? 'error' : ''}" title="${escapeAttr(error || `${count} matching note${count !== 1 ? 's' : ''}`)}">${error ? '⚠' : count}</span>
+        <button class="item-ellipsis-btn" title="More actions">⋯</button>
+        <div class="item-actions">
+            <button class="item-action-btn" onclick="event.stopPropagation(); openSmartFolderInSearch('${smartFolder.id}'); closeContextMenus();">
+                <span>🔍</span> Show in Search
+            </button>
+            <button class="item-action-btn" onclick="event.stopPropagation(); renameItem('smartFolder', '${smartFolder.id}', '${escapeHtml(escapedName)}'); closeContextMenus();">
+                <span>✏️</span> Rename
+            </button>
+            <button class="item-action-btn" onclick="event.stopPropagation(); deleteSmartFolderById('${smartFolder.id}'); closeContextMenus();">
+                <span>🗑️</span> Delete
+            </button>
+        </div>
+    `;
+    div.querySelector('.item-name').textContent = smartFolder.name;
+
+    const ellipsisBtn = div.querySelector('.item-ellipsis-btn');
+    ellipsisBtn.onclick = (e) => {
+        e.stopPropagation();
+        document.querySelectorAll('.item-actions.show').forEach(menu => {
+            menu.classList.remove('show');
+        });
+
+        const actions = div.querySelector('.item-actions');
+        actions.classList.toggle('show');
+
+        const rect = ellipsisBtn.getBoundingClientRect();
+        actions.style.top = (rect.bottom + 5) + 'px';
+        actions.style.left = (rect.left - 140) + 'px';
+    };
+
+    return div;
+}
+
+// Result rows only open notes; moving and renaming stays with the real folder tree
+function createSmartFolderNoteElement(note) {
+    const div = document.createElement('div');
+    div.className = `file-item smart-folder-note ${currentNoteId === note.id ? 'active' : ''}`;
+    div.setAttribute('data-note-id', note.id);
+    div.onclick = () => openNote(note.id);
+
+    const folderPath = getNoteFolderNames(note).join('/');
+    div.innerHTML = `
+        <span class="icon">📄</span>
+        <span class="item-name" title="${escapeAttr(getNoteLinkPath(note))}">${escapeHtml(note.title)}</span>
+        ${folderPath ? `<span class="search-result-path">${escapeHtml(folderPath)}</span>` : ''}
+    `;
+    return div;
+}
+
+function toggleSmartFolder(id) {
+    const smartFolder = smartFolders.find(f => f.id === id);
+    if (!smartFolder) return;
+    smartFolder.collapsed = !smartFolder.collapsed;
+    saveSmartFolder(smartFolder);
+    renderFileExplorer();
+}
+
+function openSmartFolderInSearch(id) {
+    const smartFolder = smartFolders.find(f => f.id === id);
+    if (!smartFolder) return;
+    const input = document.getElementById('searchInput');
+    input.value = smartFolder.query;
+    input.focus();
+    searchNotes();
+}
+
+function deleteSmartFolderById(id) {
+    const smartFolder = smartFolders.find(f => f.id === id);
+    if (!smartFolder) return;
+    deleteTarget = { type: 'smartFolder', id };
+    document.getElementById('deleteMessage').textContent =
+        `Delete the smart folder "${smartFolder.name}"? The notes it lists are not affected.`;
+    openDeleteModal();
+}
+
+// Notes changed: refresh the smart folders' result sets (only while the tree is showing)
+function scheduleSmartFolderRefresh() {
+    if (smartFolders.length === 0) return;
+    clearTimeout(_smartFolderRefreshTimer);
+    _smartFolderRefreshTimer = setTimeout(() => {
+        const section = document.querySelector('#fileExplorer .smart-folders');
+        if (!section) return;
+        const explorer = document.createElement('div');
+        renderSmartFolders(explorer);
+        section.replaceWith(explorer.firstChild);
+    }, 500);
+}
+
+// Export smart folder functions
+window.saveCurrentSearch = saveCurrentSearch;
+window.openSmartFolderInSearch = openSmartFolderInSearch;
+window.deleteSmartFolderById = deleteSmartFolderById;
+
+/* ========== QUICK SWITCHER ========== */
+
+const RECENT_NOTES_LIMIT = 30;
+const QUICK_SWITCHER_MAX_ITEMS = 50;
+
+let _quickSwitcher = { items: [], selected: 0 };
+
+function rememberRecentNote(noteId) {
+    settings.recentNotes = [noteId, ...(settings.recentNotes || []).filter(id => id !== noteId)]
+        .slice(0, RECENT_NOTES_LIMIT);
+}
+
+function openQuickSwitcher() {
+    const input = document.getElementById('quickSwitcherInput');
+    input.value = '';
+    document.getElementById('quickSwitcherModal').classList.add('active');
+    updateQuickSwitcher();
+    setTimeout(() => input.focus(), 50);
+}
+
+function closeQuickSwitcher() {
+    document.getElementById('quickSwitcherModal').classList.remove('active');
+    _quickSwitcher = { items: [], selected: 0 };
+}
+
+// Best fuzzy match of the query against a note's title, aliases and folder path
+function _matchNoteForSwitcher(query, note) {
+    let best = null;
+    const consider = (text, kind, bonus) => {
+        const match = fuzzyMatch(query, text);
+        if (match && (!best || match.score + bonus > best.score)) {
+            best = { score: match.score + bonus, kind, text, indices: match.indices };
+        }
+    };
+    consider(note.title, 'title', 10);
+    (note.aliases || []).forEach(alias => consider(alias, 'alias', 5));
+    consider(getNoteLinkPath(note), 'path', 0);
+    return best;
+}
+
+// Note items ranked by match quality, with recently opened notes pulled up;
+// a "create" item is offered when no note has the typed title
+function getQuickSwitcherItems(query) {
+    const recent = (settings.recentNotes || []).filter(id => notes.some(n => n.id === id));
+    const recencyBonus = id => {
+        const index = recent.indexOf(id);
+        return index === -1 ? 0 : RECENT_NOTES_LIMIT - index;
+    };
+
+    let items;
+    if (!query) {
+        const recentNotes = recent.map(id => notes.find(n => n.id === id));
+        const others = notes
+            .filter(n => !recent.includes(n.id))
+            .sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+        items = [...recentNotes, ...others].map(note => ({
+            type: 'note', note, recent: recent.includes(note.id), match: { kind: 'title', text: note.title, indices: [] }
+        }));
+    } else {
+        items = notes
+            .map(note => ({ type: 'note', note, recent: recent.includes(note.id), match: _matchNoteForSwitcher(query, note) }))
+            .filter(item => item.match)
+            .sort((a, b) => (b.match.score + recencyBonus(b.note.id)) - (a.match.score + recencyBonus(a.note.id)));
+    }
+    items = items.slice(0, QUICK_SWITCHER_MAX_ITEMS);
+
+    if (query && !notes.some(n => n.title.toLowerCase() === query.toLowerCase())) {
+        items.push({ type: 'create', title: query });
+    }
+    return items;
+}
+
+function updateQuickSwitcher() {
+    const query = document.getElementById('quickSwitcherInput').value.trim();
+    _quickSwitcher = { items: getQuickSwitcherItems(query), selected: 0 };
+    renderQuickSwitcher();
+}
+
+function renderQuickSwitcher() {
+    const list = document.getElementById('quickSwitcherList');
+    list.innerHTML = '';
+
+    if (_quickSwitcher.items.length === 0) {
+        list.innerHTML = '<div class="switcher-empty">No notes yet — type a title to create one</div>';
+        return;
+    }
+
+    _quickSwitcher.items.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = `switcher-item${index === _quickSwitcher.selected ? ' selected' : ''}${item.type === 'create' ? ' create' : ''}`;
+
+        if (item.type === 'create') {
+            div.innerHTML = `<span class="switcher-label">➕ Create "${escapeHtml(item.title)}"</span><span class="switcher-detail">Shift+Enter</span>`;
+        } else {
+            const { note, match } = item;
+            const folderPath = getNoteFolderNames(note).join('/');
+            let detail = folderPath;
+            if (match.kind === 'alias') detail = `→ ${note.title}`;
+            if (match.kind === 'path') detail = '';
+            div.innerHTML = `
+                <span class="switcher-label">${item.recent ? '<span class="switcher-recent" title="Recently opened">🕘</span>' : ''}${highlightFuzzyMatch(match.text, match.indices)}</span>
+                ${detail ? `<span class="switcher-detail">${escapeHtml(detail)}</span>` : ''}
+            `;
+        }
+
+        div.onmousemove = () => {
+            if (_quickSwitcher.selected === index) return;
+            _quickSwitcher.selected = index;
+            list.querySelectorAll('.switcher-item').forEach((el, i) => el.classList.toggle('selected', i === index));
+        };
+        div.onclick = (e) => {
+            _quickSwitcher.selected = index;
+            acceptQuickSwitcher(e.ctrlKey || e.metaKey ? 'newTab' : 'open');
+        };
+        list.appendChild(div);
+    });
+}
+
+function moveQuickSwitcherSelection(delta) {
+    const count = _quickSwitcher.items.length;
+    if (count === 0) return;
+    _quickSwitcher.selected = (_quickSwitcher.selected + delta + count) % count;
+    const items = document.querySelectorAll('#quickSwitcherList .switcher-item');
+    items.forEach((el, i) => el.classList.toggle('selected', i === _quickSwitcher.selected));
+    if (items[_quickSwitcher.selected]) items[_quickSwitcher.selected].scrollIntoView({ block: 'nearest' });
+}
+
+// mode: 'open' (current tab), 'newTab' or 'create' (a note titled after the query)
+async function acceptQuickSwitcher(mode) {
+    const query = document.getElementById('quickSwitcherInput').value.trim();
+    const item = _quickSwitcher.items[_quickSwitcher.selected];
+
+    if (mode === 'create' || (item && item.type === 'create')) {
+        if (!query) return;
+        closeQuickSwitcher();
+        // Same path as creating from a link, so "Folder/Title" and the link-note template apply
+        await createNoteFromLink(query);
+        return;
+    }
+    if (!item) return;
+
+    closeQuickSwitcher();
+    if (mode === 'newTab') {
+        openNoteInNewTab(item.note.id);
+    } else {
+        openNote(item.note.id);
+    }
+}
+
+function handleQuickSwitcherKeydown(e) {
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        moveQuickSwitcherSelection(1);
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        moveQuickSwitcherSelection(-1);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.shiftKey) acceptQuickSwitcher('create');
+        else acceptQuickSwitcher(e.ctrlKey || e.metaKey ? 'newTab' : 'open');
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeQuickSwitcher();
+    }
+}
+
+// Export quick switcher functions
+window.openQuickSwitcher = openQuickSwitcher;
+window.closeQuickSwitcher = closeQuickSwitcher;
+window.updateQuickSwitcher = updateQuickSwitcher;
+window.handleQuickSwitcherKeydown = handleQuickSwitcherKeydown;
+
+/* ========== COMMAND PALETTE ========== */
+
+const RECENT_COMMANDS_LIMIT = 20;
+
+// id → { id, name, category, keys, scope, needsNote, focusEditor, run }.
+// keys are the default combos, a string or list like 'Mod+S' (Mod = Ctrl, or ⌘ on macOS);
+// scope 'editor' commands only fire from the keyboard while the editor has focus.
+const commandRegistry = new Map();
+
+let _commandPalette = { items: [], selected: 0 };
+
+function registerCommand(command) {
+    commandRegistry.set(command.id, command);
+}
+
+function getCommandLabel(command) {
+    return command.category ? `${command.category}: ${command.name}` : command.name;
+}
+
+function formatCommandKeys(keys) {
+    if (!keys) return '';
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+    return keys.replace(/Mod/g, isMac ? '⌘' : 'Ctrl');
+}
+
+function rememberRecentCommand(id) {
+    settings.recentCommands = [id, ...(settings.recentCommands || []).filter(c => c !== id)]
+        .slice(0, RECENT_COMMANDS_LIMIT);
+    saveSettings();
+}
+
+function runCommand(id) {
+    const command = commandRegistry.get(id);
+    if (!command) return false;
+    if (command.needsNote && !currentNoteId) {
+        showToast(`Open a note to use "${command.name}"`);
+        return false;
+    }
+
+    if (command.focusEditor && editor) editor.focus();
+    command.run();
+    return true;
+}
+
+function registerDefaultCommands() {
+    const note = () => notes.find(n => n.id === currentNoteId);
+
+    // Notes and folders
+    registerCommand({ id: 'note.new', category: 'Note', name: 'New Note', keys: 'Mod+N', run: () => createNewNote() });
+    registerCommand({ id: 'note.newFromTemplate', category: 'Note', name: 'New Note from Template…', run: () => openTemplateModal() });
+    registerCommand({ id: 'folder.new', category: 'Folder', name: 'New Folder', run: () => createNewFolder() });
+    registerCommand({ id: 'note.save', category: 'Note', name: 'Save', keys: 'Mod+S', needsNote: true, run: () => saveCurrentNote() });
+    registerCommand({ id: 'note.duplicate', category: 'Note', name: 'Duplicate', keys: 'Mod+D', needsNote: true, run: () => duplicateNote(currentNoteId) });
+    registerCommand({ id: 'note.rename', category: 'Note', name: 'Rename', needsNote: true, run: () => renameItem('note', currentNoteId, note().title) });
+    registerCommand({ id: 'note.delete', category: 'Note', name: 'Move to Trash', needsNote: true, run: () => deleteNoteById(currentNoteId) });
+    registerCommand({ id: 'note.closeTab', category: 'Note', name: 'Close Tab', needsNote: true, run: () => closeTab(currentNoteId) });
+    registerCommand({ id: 'note.quickSwitcher', category: 'Note', name: 'Open Quickly…', keys: 'Mod+O', run: () => openQuickSwitcher() });
+    registerCommand({ id: 'app.commandPalette', category: 'App', name: 'Command Palette', keys: 'Mod+Shift+P', run: () => openCommandPalette() });
+    registerCommand({ id: 'note.undoBatch', category: 'Note', name: 'Undo Last Multi-Note Edit', run: () => undoLastBatchEdit() });
+
+    // Search
+    registerCommand({ id: 'search.find', category: 'Search', name: 'Find in Note', keys: 'Mod+F', run: () => openSearchPanel() });
+    registerCommand({ id: 'search.replace', category: 'Search', name: 'Find and Replace in Note', keys: 'Mod+H', run: () => openSearchPanel(true) });
+    registerCommand({
+        id: 'search.replaceVault', category: 'Search', name: 'Find and Replace in All Notes', run: () => {
+            openSearchPanel(true);
+            if (!searchState.vaultScope) toggleVaultScope();
+        }
+    });
+    registerCommand({
+        id: 'search.sidebar', category: 'Search', name: 'Search Notes', run: () => {
+            if (document.getElementById('leftSidebar').classList.contains('collapsed')) toggleLeftSidebar();
+            document.getElementById('searchInput').focus();
+        }
+    });
+    registerCommand({ id: 'search.saveSmartFolder', category: 'Search', name: 'Save Search as Smart Folder', run: () => saveCurrentSearch() });
+
+    // Formatting
+    [
+        ['bold', 'Bold', 'Mod+B'], ['italic', 'Italic', 'Mod+I'], ['strikethrough', 'Strikethrough'],
+        ['h1', 'Heading 1'], ['h2', 'Heading 2'], ['h3', 'Heading 3'],
+        ['link', 'Link', 'Mod+K'], ['wikilink', 'Wiki Link'], ['code', 'Inline Code'], ['codeblock', 'Code Block'],
+        ['quote', 'Blockquote'], ['ul', 'Bullet List'], ['ol', 'Numbered List'], ['task', 'Task List'],
+        ['hr', 'Horizontal Rule'], ['table', 'Table']
+    ].forEach(([type, name, keys]) => {
+        registerCommand({
+            id: `format.${type}`, category: 'Format', name, keys,
+            scope: 'editor', needsNote: true, focusEditor: true, run: () => insertFormatting(type)
+        });
+    });
+
+    // Highlights, one command per swatch in the toolbar picker
+    document.querySelectorAll('.hl-color-btn').forEach(btn => {
+        const color = btn.getAttribute('data-color');
+        registerCommand({
+            id: `highlight.${btn.title.toLowerCase()}`, category: 'Highlight', name: btn.title,
+            scope: 'editor', needsNote: true, focusEditor: true, run: () => applyHighlight(color)
+        });
+    });
+    registerCommand({ id: 'highlight.remove', category: 'Highlight', name: 'Remove', scope: 'editor', needsNote: true, focusEditor: true, run: () => removeHighlight() });
+
+    // View
+    registerCommand({ id: 'view.edit', category: 'View', name: 'Edit Mode', run: () => switchEditorTab('edit') });
+    registerCommand({ id: 'view.preview', category: 'View', name: 'Preview Mode', run: () => switchEditorTab('preview') });
+    registerCommand({ id: 'view.split', category: 'View', name: 'Split Mode', run: () => switchEditorTab('split') });
+    registerCommand({ id: 'view.distractionFree', category: 'View', name: 'Toggle Distraction-Free Mode', keys: ['F11', 'Mod+Shift+F'], run: () => toggleDistractionFree() });
+    registerCommand({ id: 'view.leftSidebar', category: 'View', name: 'Toggle Left Sidebar', run: () => toggleLeftSidebar() });
+    registerCommand({ id: 'view.rightSidebar', category: 'View', name: 'Toggle Right Sidebar', run: () => toggleRightSidebar() });
+    registerCommand({ id: 'view.graph', category: 'View', name: 'Graph View', run: () => openGraphView() });
+    registerCommand({ id: 'view.brokenLinks', category: 'View', name: 'Broken Links Report', run: () => openBrokenLinksReport() });
+    registerCommand({ id: 'view.trash', category: 'View', name: 'Toggle Trash', run: () => toggleTrashView() });
+    registerCommand({
+        id: 'view.vimMode', category: 'View', name: 'Toggle Vim Mode', run: () => {
+            const checkbox = document.getElementById('vimModeCheckbox');
+            checkbox.checked = !settings.vimMode;
+            toggleVimMode();
+        }
+    });
+
+    // Themes, one command per option in the settings select
+    document.querySelectorAll('#themeSelect option').forEach(option => {
+        registerCommand({
+            id: `theme.${option.value}`, category: 'Theme', name: option.textContent, run: () => {
+                document.getElementById('themeSelect').value = option.value;
+                changeTheme();
+            }
+        });
+    });
+
+    // Vault
+    registerCommand({ id: 'app.settings', category: 'App', name: 'Settings', run: () => openSettingsModal() });
+    registerCommand({ id: 'vault.export', category: 'Vault', name: 'Export (JSON)', run: () => exportVault() });
+    registerCommand({ id: 'vault.exportMarkdown', category: 'Vault', name: 'Export as Markdown (ZIP)', run: () => openMarkdownExport() });
+    registerCommand({ id: 'vault.importMarkdown', category: 'Vault', name: 'Import Markdown Files, Folder or ZIP', run: () => openMarkdownImport() });
+    registerCommand({ id: 'vault.import', category: 'Vault', name: 'Import (JSON)', run: () => document.getElementById('importFile').click() });
+    registerCommand({ id: 'vault.attachments', category: 'Vault', name: 'Manage Attachments', run: () => openAttachmentsManager() });
+    registerCommand({ id: 'vault.rebuildIndex', category: 'Vault', name: 'Rebuild Search Index', run: () => rebuildSearchIndexNow() });
+}
+
+function openCommandPalette() {
+    const input = document.getElementById('commandPaletteInput');
+    input.value = '';
+    document.getElementById('commandPaletteModal').classList.add('active');
+    updateCommandPalette();
+    setTimeout(() => input.focus(), 50);
+}
+
+function closeCommandPalette() {
+    document.getElementById('commandPaletteModal').classList.remove('active');
+    _commandPalette = { items: [], selected: 0 };
+}
+
+// Commands ranked by fuzzy match, recently used first; everything when the query is empty
+function getCommandPaletteItems(query) {
+    const recent = settings.recentCommands || [];
+    const recencyBonus = id => {
+        const index = recent.indexOf(id);
+        return index === -1 ? 0 : RECENT_COMMANDS_LIMIT - index;
+    };
+
+    return [...commandRegistry.values()]
+        .map(command => {
+            const label = getCommandLabel(command);
+            const match = fuzzyMatch(query, label);
+            return match && { command, label, match, rank: match.score + recencyBonus(command.id) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.rank - a.rank || a.label.localeCompare(b.label));
+}
+
+function updateCommandPalette() {
+    const query = document.getElementById('commandPaletteInput').value.trim();
+    _commandPalette = { items: getCommandPaletteItems(query), selected: 0 };
+    renderCommandPalette();
+}
+
+function renderCommandPalette() {
+    const list = document.getElementById('commandPaletteList');
+    list.innerHTML = '';
+
+    if (_commandPalette.items.length === 0) {
+        list.innerHTML = '<div class="switcher-empty">No matching commands</div>';
+        return;
+    }
+
+    const recent = settings.recentCommands || [];
+    _commandPalette.items.forEach((item, index) => {
+        const { command } = item;
+        const unavailable = command.needsNote && !currentNoteId;
+        const div = document.createElement('div');
+        div.className = `switcher-item${index === _commandPalette.selected ? ' selected' : ''}${unavailable ? ' unavailable' : ''}`;
+        div.innerHTML = `
+            <span class="switcher-label">${recent.includes(command.id) ? '<span class="switcher-recent" title="Recently used">🕘</span>' : ''}${highlightFuzzyMatch(item.label, item.match.indices)}</span>
+            ${getCommandKeys(command.id).slice(0, 1).map(keys => `<kbd class="command-keys">${escapeHtml(formatCommandKeys(keys))}</kbd>`).join('')}
+        `;
+        div.onmousemove = () => {
+            if (_commandPalette.selected === index) return;
+            _commandPalette.selected = index;
+            list.querySelectorAll('.switcher-item').forEach((el, i) => el.classList.toggle('selected', i === index));
+        };
+        div.onclick = () => {
+            _commandPalette.selected = index;
+            acceptCommandPalette();
+        };
+        list.appendChild(div);
+    });
+}
+
+function moveCommandPaletteSelection(delta) {
+    const count = _commandPalette.items.length;
+    if (count === 0) return;
+    _commandPalette.selected = (_commandPalette.selected + delta + count) % count;
+    const items = document.querySelectorAll('#commandPaletteList .switcher-item');
+    items.forEach((el, i) => el.classList.toggle('selected', i === _commandPalette.selected));
+    if (items[_commandPalette.selected]) items[_commandPalette.selected].scrollIntoView({ block: 'nearest' });
+}
+
+function acceptCommandPalette() {
+    const item = _commandPalette.items[_commandPalette.selected];
+    if (!item) return;
+    closeCommandPalette();
+    rememberRecentCommand(item.command.id);
+    runCommand(item.command.id);
+}
+
+function handleCommandPaletteKeydown(e) {
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        moveCommandPaletteSelection(1);
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        moveCommandPaletteSelection(-1);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        acceptCommandPalette();
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCommandPalette();
+    }
+}
+
+// Export command palette functions
+window.openCommandPalette = openCommandPalette;
+window.closeCommandPalette = closeCommandPalette;
+window.updateCommandPalette = updateCommandPalette;
+window.handleCommandPaletteKeydown = handleCommandPaletteKeydown;
+window.runCommand = runCommand;
+
+/* ========== KEYBINDINGS ========== */
+
+// Combos a browser keeps for itself; they can be bound but may never reach the page
+const BROWSER_RESERVED_KEYS = ['Mod+N', 'Mod+T', 'Mod+W', 'Mod+Shift+N', 'Mod+Shift+T', 'Mod+Shift+W'];
+
+let _keybindingLookup = null; // combo → [command ids], rebuilt when bindings change
+let _recordingKeybinding = null; // { commandId, button } while waiting for a combo
+
+function initKeybindings() {
+    // Run app shortcuts before CodeMirror's own keymap (which binds e.g. Ctrl+D to delete line)
+    if (editor) editor.on('keydown', (cm, e) => handleShortcutKeydown(e));
+}
+
+function getDefaultCommandKeys(command) {
+    return [].concat(command.keys || []);
+}
+
+function getCommandKeys(id) {
+    const overrides = settings.keybindings || {};
+    if (overrides[id]) return overrides[id];
+    const command = commandRegistry.get(id);
+    return command ? getDefaultCommandKeys(command) : [];
+}
+
+// Normalized combo for a key event, e.g. 'Mod+Shift+P', or null for a lone modifier
+function keyEventToCombo(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+    let key = e.key;
+    // Physical letter/digit, so Shift and Alt (which change e.key) don't change the combo
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+    else if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+// Plain typing keys can't be shortcuts; a combo needs Mod or Alt, or a function key
+function isShortcutCombo(combo) {
+    return /(^|\+)(Mod|Alt)\+/.test(combo) || /(^|\+)F\d{1,2}$/.test(combo);
+}
+
+function _getKeybindingLookup() {
+    if (_keybindingLookup) return _keybindingLookup;
+    _keybindingLookup = new Map();
+    commandRegistry.forEach(command => {
+        getCommandKeys(command.id).forEach(combo => {
+            if (!_keybindingLookup.has(combo)) _keybindingLookup.set(combo, []);
+            _keybindingLookup.get(combo).push(command.id);
+        });
+    });
+    return _keybindingLookup;
+}
+
+function handleShortcutKeydown(e) {
+    if (_recordingKeybinding) return false;
+    const combo = keyEventToCombo(e);
+    if (!combo || !isShortcutCombo(combo)) return false;
+    if (isVimKeyEvent(e)) return false;
+
+    const editorFocused = editor && editor.hasFocus();
+    const candidates = (_getKeybindingLookup().get(combo) || [])
+        .map(id => commandRegistry.get(id))
+        .filter(command => command.scope !== 'editor' || editorFocused);
+    if (candidates.length === 0) return false;
+
+    // With a conflicting binding, the editor's own command wins while typing
+    const command = candidates.find(c => c.scope === 'editor') || candidates[0];
+    e.preventDefault();
+    runCommand(command.id);
+    return true;
+}
+
+// Other commands already using a combo
+function findKeybindingConflicts(combo, commandId) {
+    return (_getKeybindingLookup().get(combo) || []).filter(id => id !== commandId);
+}
+
+async function setCommandKeys(id, keys) {
+    const command = commandRegistry.get(id);
+    if (!command) return;
+    const defaults = getDefaultCommandKeys(command);
+    settings.keybindings = { ...(settings.keybindings || {}) };
+    if (keys.length === defaults.length && keys.every((k, i) => k === defaults[i])) {
+        delete settings.keybindings[id];
+    } else {
+        settings.keybindings[id] = keys;
+    }
+    _keybindingLookup = null;
+    await saveSettings();
+}
+
+async function addCommandKey(id, combo) {
+    const conflicts = findKeybindingConflicts(combo, id);
+    if (conflicts.length > 0) {
+        const names = conflicts.map(c => `"${getCommandLabel(commandRegistry.get(c))}"`).join(', ');
+        if (!confirm(`${formatCommandKeys(combo)} is already used by ${names}. Move it to "${getCommandLabel(commandRegistry.get(id))}"?`)) return;
+        for (const other of conflicts) {
+            await setCommandKeys(other, getCommandKeys(other).filter(k => k !== combo));
+        }
+    }
+    const keys = getCommandKeys(id);
+    if (!keys.includes(combo)) await setCommandKeys(id, [...keys, combo]);
+    if (BROWSER_RESERVED_KEYS.includes(combo)) {
+        showToast(`${formatCommandKeys(combo)} is reserved by some browsers and may not reach Storyroot`);
+    }
+    renderKeybindingSettings();
+}
+
+async function removeCommandKey(id, combo) {
+    await setCommandKeys(id, getCommandKeys(id).filter(k => k !== combo));
+    renderKeybindingSettings();
+}
+
+async function resetCommandKeys(id) {
+    const command = commandRegistry.get(id);
+    if (command) await setCommandKeys(id, getDefaultCommandKeys(command));
+    renderKeybindingSettings();
+}
+
+async function resetAllKeybindings() {
+    if (!confirm('Reset every keyboard shortcut to its default?')) return;
+    settings.keybindings = {};
+    _keybindingLookup = null;
+    await saveSettings();
+    renderKeybindingSettings();
+    showToast('Keyboard shortcuts reset');
+}
+
+function startRecordingKeybinding(id, button) {
+    stopRecordingKeybinding();
+    _recordingKeybinding = { commandId: id, button };
+    button.textContent = 'Press keys…';
+    button.classList.add('recording');
+    // Capture phase, so nothing else acts on the keys being recorded
+    document.addEventListener('keydown', _recordKeybindingKeydown, true);
+}
+
+function stopRecordingKeybinding() {
+    document.removeEventListener('keydown', _recordKeybindingKeydown, true);
+    if (_recordingKeybinding) {
+        _recordingKeybinding.button.textContent = '+';
+        _recordingKeybinding.button.classList.remove('recording');
+    }
+    _recordingKeybinding = null;
+}
+
+function _recordKeybindingKeydown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+        stopRecordingKeybinding();
+        return;
+    }
+    const combo = keyEventToCombo(e);
+    if (!combo) return; // Wait for the key that goes with the modifiers
+    const { commandId } = _recordingKeybinding;
+    stopRecordingKeybinding();
+    if (!isShortcutCombo(combo)) {
+        showToast('Shortcuts need Ctrl/⌘ or Alt, or a function key');
+        return;
+    }
+    addCommandKey(commandId, combo);
+}
+
+function renderKeybindingSettings() {
+    const list = document.getElementById('keybindingList');
+    if (!list) return;
+    const filter = document.getElementById('keybindingFilter').value.trim().toLowerCase();
+    const overrides = settings.keybindings || {};
+
+    list.innerHTML = '';
+    [...commandRegistry.values()]
+        .filter(command => !filter ||
+            getCommandLabel(command).toLowerCase().includes(filter) ||
+            getCommandKeys(command.id).some(k => formatCommandKeys(k).toLowerCase().includes(filter)))
+        .sort((a, b) => getCommandLabel(a).localeCompare(getCommandLabel(b)))
+        .forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'keybinding-row';
+
+            const label = document.createElement('span');
+            label.className = 'keybinding-label';
+            label.textContent = getCommandLabel(command);
+            row.appendChild(label);
+
+            const keys = document.createElement('span');
+            keys.className = 'keybinding-keys';
+            getCommandKeys(command.id).forEach(combo => {
+                const conflicts = findKeybindingConflicts(combo, command.id);
+                const chip = document.createElement('kbd');
+                chip.className = `command-keys${conflicts.length ? ' conflict' : ''}`;
+                chip.textContent = formatCommandKeys(combo);
+                if (conflicts.length) {
+                    chip.title = 'Also bound to ' + conflicts.map(c => getCommandLabel(commandRegistry.get(c))).join(', ');
+                }
+                const remove = document.createElement('button');
+                remove.className = 'keybinding-remove-btn';
+                remove.textContent = '×';
+                remove.title = 'Remove shortcut';
+                remove.onclick = () => removeCommandKey(command.id, combo);
+                chip.appendChild(remove);
+                keys.appendChild(chip);
+            });
+            row.appendChild(keys);
+
+            const addBtn = document.createElement('button');
+            addBtn.className = 'keybinding-btn';
+            addBtn.textContent = '+';
+            addBtn.title = 'Add shortcut';
+            addBtn.onclick = () => startRecordingKeybinding(command.id, addBtn);
+            row.appendChild(addBtn);
+
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'keybinding-btn';
+            resetBtn.textContent = '↺';
+            resetBtn.title = 'Reset to default';
+            resetBtn.disabled = !overrides[command.id];
+            resetBtn.onclick = () => resetCommandKeys(command.id);
+            row.appendChild(resetBtn);
+
+            list.appendChild(row);
+        });
+}
+
+// Download every command's current shortcuts as a keymap file
+function exportKeymap() {
+    const keymap = {};
+    commandRegistry.forEach(command => { keymap[command.id] = getCommandKeys(command.id); });
+    const data = { type: 'storyroot-keymap', version: 1, keybindings: keymap };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'storyroot-keymap.json';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importKeymap(file) {
+    if (!file) return;
+    try {
+        const data = JSON.parse(await file.text());
+        const keymap = data && data.keybindings;
+        if (!keymap || typeof keymap !== 'object') throw new Error('No keybindings in file');
+
+        let imported = 0;
+        for (const [id, keys] of Object.entries(keymap)) {
+            // Unknown commands (from a newer version) and malformed entries are skipped
+            if (!commandRegistry.has(id) || !Array.isArray(keys)) continue;
+            await setCommandKeys(id, keys.filter(k => typeof k === 'string' && isShortcutCombo(k)));
+            imported++;
+        }
+        renderKeybindingSettings();
+
+        const conflicts = [..._getKeybindingLookup().values()].filter(ids => ids.length > 1).length;
+        showToast(`Imported shortcuts for ${imported} command${imported !== 1 ? 's' : ''}` +
+            (conflicts ? ` · ${conflicts} conflict${conflicts !== 1 ? 's' : ''} to review` : ''));
+    } catch (error) {
+        console.error('Keymap import error:', error);
+        showToast('Failed to import keymap');
+    } finally {
+        document.getElementById('keymapImportFile').value = '';
+    }
+}
+
+// Export keybinding functions
+window.renderKeybindingSettings = renderKeybindingSettings;
+window.resetAllKeybindings = resetAllKeybindings;
+window.exportKeymap = exportKeymap;
+window.importKeymap = importKeymap;
+
+/* ========== VIM MODE ========== */
+
+// Ctrl+key bindings the vim keymap uses outside insert mode (page/scroll, jumps, visual block, redo, …)
+const VIM_CTRL_KEYS = new Set(['A', 'B', 'C', 'D', 'E', 'F', 'I', 'N', 'O', 'P', 'Q', 'R', 'U', 'V', 'W', 'X', 'Y', '[', 'Space']);
+const VIM_MODE_LABELS = {
+    normal: 'NORMAL',
+    insert: 'INSERT',
+    replace: 'REPLACE',
+    visual: 'VISUAL',
+    'visual-linewise': 'V-LINE',
+    'visual-blockwise': 'V-BLOCK'
+};
+
+let _vimMode = 'normal';
+let _vimExCommandsDefined = false;
+
+function isVimActive() {
+    return !!(editor && editor.getOption('keyMap') === 'vim');
+}
+
+function initVimMode() {
+    if (!editor || !CodeMirror.Vim) return;
+    defineVimExCommands();
+
+    editor.on('vim-mode-change', (cm, change) => {
+        _vimMode = change.subMode ? `${change.mode}-${change.subMode}` : change.mode;
+        updateVimModeIndicator();
+    });
+    editor.on('keydown', (cm, e) => {
+        // Escape that only leaves insert/visual mode shouldn't also exit distraction-free
+        if (e.key === 'Escape' && isVimActive() && _vimMode !== 'normal') e.stopPropagation();
+    });
+
+    applyVimMode();
+}
+
+function applyVimMode() {
+    if (!editor) return;
+    const enabled = !!(settings.vimMode && CodeMirror.Vim);
+    if (enabled !== isVimActive()) {
+        _vimMode = 'normal';
+        editor.setOption('keyMap', enabled ? 'vim' : 'default');
+    }
+    updateVimModeIndicator();
+}
+
+function updateVimModeIndicator() {
+    const indicator = document.getElementById('vimModeIndicator');
+    if (!indicator) return;
+    indicator.hidden = !isVimActive();
+    indicator.textContent = VIM_MODE_LABELS[_vimMode] || _vimMode.toUpperCase();
+    indicator.dataset.mode = _vimMode.split('-')[0];
+}
+
+// In normal/visual mode the vim keymap owns its Ctrl+key bindings; in insert mode app shortcuts win
+function isVimKeyEvent(e) {
+    if (!isVimActive() || !editor.hasFocus()) return false;
+    if (_vimMode === 'insert' || _vimMode === 'replace') return false;
+    if (!e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return false;
+    const combo = keyEventToCombo(e);
+    return VIM_CTRL_KEYS.has(combo.slice(combo.lastIndexOf('+') + 1));
+}
+
+function defineVimExCommands() {
+    if (_vimExCommandsDefined) return;
+    _vimExCommandsDefined = true;
+    const Vim = CodeMirror.Vim;
+
+    Vim.defineEx('write', 'w', () => {
+        if (currentNoteId) saveCurrentNote();
+    });
+    Vim.defineEx('quit', 'q', (cm, params) => vimQuit(params));
+    Vim.defineEx('wq', 'wq', async (cm, params) => {
+        if (!currentNoteId) return;
+        await saveCurrentNote();
+        vimQuit(params);
+    });
+    Vim.defineEx('edit', 'e', (cm, params) => vimEdit((params.argString || '').trim()));
+}
+
+// :q refuses to drop unsaved changes unless forced with :q!
+function vimQuit(params) {
+    if (!currentNoteId) return;
+    const force = (params.argString || '').trim() === '!';
+    if (hasUnsavedChanges && !settings.autoSave && !force) {
+        showToast('No write since last change (use :w or :q!)');
+        return;
+    }
+    closeTab(currentNoteId);
+}
+
+// :e <title> opens a note by title, alias or Folder/Title path, creating it if missing
+function vimEdit(arg) {
+    if (!arg) {
+        openQuickSwitcher();
+        return;
+    }
+    const link = parseWikiLink(arg);
+    const result = resolveWikiLink(link);
+    if (result.status === 'resolved') {
+        openNoteAtAnchor(result.note.id, link);
+    } else if (result.status === 'ambiguous') {
+        openQuickSwitcher();
+        document.getElementById('quickSwitcherInput').value = link.title;
+        updateQuickSwitcher();
+        showToast(`"${link.target}" matches ${result.candidates.length} notes`);
+    } else {
+        createNoteFromLink(arg);
+    }
+}
+
+// Export vim mode functions
+window.applyVimMode = applyVimMode;
+
+/* ========== TEMPLATES ========== */
+
+// {{name}}, {{name:arg}} or {{name:arg|default}}
+const TEMPLATE_VARIABLE_REGEX = /\{\{\s*(\w+)(?::([^}|]*))?(?:\|([^}]*))?\s*\}\}/g;
+
+let _folderTemplateTarget = null; // Folder whose default template is being edited
+
+// Notes inside the templates folder (or its subfolders), sorted by title
+function getTemplateNotes() {
+    const rootId = settings.templatesFolderId;
+    if (!rootId || !folders.some(f => f.id === rootId)) return [];
+    const folderIds = new Set([rootId, ...getAllSubfolders(rootId)]);
+    return notes
+        .filter(n => folderIds.has(n.folderId))
+        .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Template for new notes in a folder: its own default, else the nearest ancestor's
+function getDefaultTemplate(folderId) {
+    const chain = getFolderChain(folderId).reverse();
+    const templates = getTemplateNotes();
+    const templateId = chain.map(f => f.defaultTemplateId).find(id => id && templates.some(n => n.id === id)) ||
+        (templates.some(n => n.id === settings.rootTemplateId) ? settings.rootTemplateId : '');
+    // Creating a note inside the templates folder itself starts a new template, not a copy of one
+    if (!templateId || (settings.templatesFolderId && chain.some(f => f.id === settings.templatesFolderId))) return null;
+    return templates.find(n => n.id === templateId);
+}
+
+function formatTemplateDate(date, format) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = {
+        YYYY: date.getFullYear(),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+}
+
+// Custom {{prompt:Field|default}} fields of a template, in order of first use
+function getTemplateFields(content) {
+    const fields = new Map();
+    for (const match of (content || '').matchAll(TEMPLATE_VARIABLE_REGEX)) {
+        const name = (match[2] || '').trim();
+        if (match[1].toLowerCase() !== 'prompt' || !name || fields.has(name)) continue;
+        fields.set(name, { name, defaultValue: (match[3] || '').trim() });
+    }
+    return [...fields.values()];
+}
+
+// Expand template variables. Returns { content, cursor } where cursor is the
+// offset of the first {{cursor}} placeholder, or -1.
+// context: { title, folderId, values: { field: value }, date }
+function expandTemplate(content, context = {}) {
+    const date = context.date || new Date();
+    const values = context.values || {};
+    const folder = folders.find(f => f.id === context.folderId);
+    const CURSOR = '\u0000';
+    let cursorPlaced = false;
+
+    let expanded = content.replace(TEMPLATE_VARIABLE_REGEX, (whole, name, arg, fallback) => {
+        arg = (arg || '').trim();
+        switch (name.toLowerCase()) {
+            case 'title': return context.title || '';
+            case 'folder': return folder ? folder.name : '';
+            case 'date': return formatTemplateDate(date, arg || 'YYYY-MM-DD');
+            case 'time': return formatTemplateDate(date, arg || 'HH:mm');
+            case 'cursor':
+                if (cursorPlaced) return '';
+                cursorPlaced = true;
+                return CURSOR;
+            case 'prompt': return values[arg] !== undefined ? values[arg] : (fallback || '').trim();
+            default: return whole; // Not ours — leave it for the writer
+        }
+    });
+
+    const cursor = expanded.indexOf(CURSOR);
+    if (cursor !== -1) expanded = expanded.replace(CURSOR, '');
+    return { content: expanded, cursor };
+}
+
+// Folder for a note started from the sidebar or command palette: the current note's folder
+function _templateTargetFolderId() {
+    const current = notes.find(n => n.id === currentNoteId);
+    const folderId = current ? current.folderId || null : null;
+    // Don't file new notes among the templates just because a template is open
+    const inTemplates = settings.templatesFolderId && getFolderChain(folderId).some(f => f.id === settings.templatesFolderId);
+    return inTemplates ? null : folderId;
+}
+
+function _fillFolderSelect(select, firstOptionLabel) {
+    select.innerHTML = `<option value="">${escapeHtml(firstOptionLabel)}</option>`;
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            select.appendChild(option);
+        });
+}
+
+function _fillTemplateSelect(select, emptyLabel) {
+    select.innerHTML = `<option value="">${escapeHtml(emptyLabel)}</option>`;
+    getTemplateNotes().forEach(n => {
+        const option = document.createElement('option');
+        option.value = n.id;
+        option.textContent = n.title;
+        select.appendChild(option);
+    });
+}
+
+// folderId: where the note goes (undefined → the current note's folder)
+// templateId: preselected template (defaults to the folder's default, else the first one)
+function openTemplateModal(folderId, templateId) {
+    const templates = getTemplateNotes();
+    if (templates.length === 0) {
+        showToast('No templates yet — choose a templates folder in Settings');
+        return;
+    }
+    if (folderId === undefined) folderId = _templateTargetFolderId();
+    if (!templateId) {
+        const fallback = getDefaultTemplate(folderId);
+        templateId = fallback ? fallback.id : templates[0].id;
+    }
+
+    _fillTemplateSelect(document.getElementById('templateSelect'), 'Empty note');
+    document.getElementById('templateSelect').value = templateId;
+    const folderSelect = document.getElementById('templateFolderSelect');
+    _fillFolderSelect(folderSelect, 'Vault root');
+    folderSelect.value = folderId || '';
+
+    const titleInput = document.getElementById('templateTitleInput');
+    titleInput.value = '';
+    renderTemplateFields();
+    document.getElementById('templateModal').classList.add('active');
+    setTimeout(() => titleInput.focus(), 50);
+}
+
+function closeTemplateModal() {
+    document.getElementById('templateModal').classList.remove('active');
+}
+
+function renderTemplateFields() {
+    const template = notes.find(n => n.id === document.getElementById('templateSelect').value);
+    const container = document.getElementById('templateFields');
+    const previous = {};
+    container.querySelectorAll('input[data-field]').forEach(input => { previous[input.dataset.field] = input.value; });
+
+    container.innerHTML = '';
+    getTemplateFields(template ? template.content : '').forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = `${field.name}:`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.field = field.name;
+        input.placeholder = field.defaultValue;
+        input.value = previous[field.name] || '';
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
+function handleTemplateFormKeydown(e) {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+        e.preventDefault();
+        confirmTemplateNote();
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeTemplateModal();
+    }
+}
+
+async function confirmTemplateNote() {
+    const template = notes.find(n => n.id === document.getElementById('templateSelect').value);
+    const folderId = document.getElementById('templateFolderSelect').value || null;
+    const title = document.getElementById('templateTitleInput').value.trim() || 'Untitled Note';
+
+    // Empty prompt fields fall back to their {{prompt:Field|default}} value
+    const values = {};
+    document.querySelectorAll('#templateFields input[data-field]').forEach(input => {
+        if (input.value.trim()) values[input.dataset.field] = input.value;
+    });
+
+    const { content, cursor } = template
+        ? expandTemplate(template.content || '', { title, folderId, values })
+        : { content: '', cursor: -1 };
+
+    const now = new Date().toISOString();
+    const note = {
+        id: generateId(),
+        title,
+        content,
+        folderId,
+        tags: extractTags(content),
+        links: extractLinks(content),
+        aliases: [],
+        highlights: [],
+        order: Date.now(),
+        created: now,
+        modified: now
+    };
+
+    const folder = folders.find(f => f.id === folderId);
+    if (folder && folder.collapsed) {
+        folder.collapsed = false;
+        await saveFolder(folder);
+    }
+
+    notes.push(note);
+    await saveNote(note);
+    closeTemplateModal();
+    renderFileExplorer();
+    openNote(note.id);
+
+    if (editor) {
+        editor.focus();
+        if (cursor !== -1) editor.setCursor(editor.posFromIndex(cursor));
+    }
+    showToast(template ? `Created "${title}" from ${template.title}` : `Created "${title}"`);
+}
+
+function openFolderTemplateModal(folderId) {
+    const folder = folders.find(f => f.id === folderId);
+    if (!folder) return;
+    if (getTemplateNotes().length === 0) {
+        showToast('No templates yet — choose a templates folder in Settings');
+        return;
+    }
+    _folderTemplateTarget = folderId;
+    document.getElementById('folderTemplateModalTitle').textContent = `Default Template for ${folder.name}`;
+    const select = document.getElementById('folderTemplateSelect');
+    _fillTemplateSelect(select, 'Inherit from parent folder');
+    select.value = notes.some(n => n.id === folder.defaultTemplateId) ? folder.defaultTemplateId : '';
+    document.getElementById('folderTemplateModal').classList.add('active');
+}
+
+function closeFolderTemplateModal() {
+    document.getElementById('folderTemplateModal').classList.remove('active');
+    _folderTemplateTarget = null;
+}
+
+async function confirmFolderTemplate() {
+    const folder = folders.find(f => f.id === _folderTemplateTarget);
+    if (!folder) return closeFolderTemplateModal();
+    const templateId = document.getElementById('folderTemplateSelect').value;
+    if (templateId) folder.defaultTemplateId = templateId;
+    else delete folder.defaultTemplateId;
+    await saveFolder(folder);
+    closeFolderTemplateModal();
+
+    const template = notes.find(n => n.id === templateId);
+    showToast(template ? `New notes in ${folder.name} start from ${template.title}` : `Cleared default template for ${folder.name}`);
+}
+
+function populateTemplateSettings() {
+    const folderSelect = document.getElementById('templatesFolderSelect');
+    const rootSelect = document.getElementById('rootTemplateSelect');
+    if (!folderSelect || !rootSelect) return;
+
+    _fillFolderSelect(folderSelect, 'None');
+    folderSelect.value = folders.some(f => f.id === settings.templatesFolderId) ? settings.templatesFolderId : '';
+    _fillTemplateSelect(rootSelect, 'Empty note');
+    rootSelect.value = getTemplateNotes().some(n => n.id === settings.rootTemplateId) ? settings.rootTemplateId : '';
+    rootSelect.disabled = !folderSelect.value;
+}
+
+function changeTemplateSettings() {
+    const folderId = document.getElementById('templatesFolderSelect').value;
+    const folderChanged = folderId !== settings.templatesFolderId;
+    settings.templatesFolderId = folderId;
+    settings.rootTemplateId = folderChanged ? '' : document.getElementById('rootTemplateSelect').value;
+    saveSettings();
+    if (folderChanged) {
+        populateTemplateSettings();
+        populateLinkNoteSettings();
+        renderFileExplorer();
+    }
+}
+
+// Export template functions
+window.openTemplateModal = openTemplateModal;
+window.closeTemplateModal = closeTemplateModal;
+window.renderTemplateFields = renderTemplateFields;
+window.handleTemplateFormKeydown = handleTemplateFormKeydown;
+window.confirmTemplateNote = confirmTemplateNote;
+window.openFolderTemplateModal = openFolderTemplateModal;
+window.closeFolderTemplateModal = closeFolderTemplateModal;
+window.confirmFolderTemplate = confirmFolderTemplate;
+window.changeTemplateSettings = changeTemplateSettings;
+
+/* ========== ATTACHMENTS ========== */
+
+// ![[name.ext]] with a file extension (other than .md) embeds a file rather than a note
+const ATTACHMENT_EXTENSION_REGEX = /\.(?!md$)[a-z][a-z0-9]{1,4}$/i;
+const ATTACHMENT_MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp'
+};
+
+const _attachmentUrls = new Map(); // Attachment id → { blob, url } for the preview
+
+function findAttachment(name) {
+    if (!name) return null;
+    // Markdown references may be URL-encoded or carry a folder prefix
+    let decoded = name;
+    try { decoded = decodeURIComponent(name); } catch (e) {}
+    const lower = decoded.split('/').pop().trim().toLowerCase();
+    return attachments.find(a => a.name.toLowerCase() === lower) || null;
+}
+
+function isAttachmentEmbed(raw) {
+    const target = parseWikiLink(raw).target;
+    if (findAttachment(target)) return true;
+    // A missing file is still a file, unless a note really has that title
+    return ATTACHMENT_EXTENSION_REGEX.test(target) && resolveWikiLink(target).status === 'broken';
+}
+
+function getAttachmentUrl(attachment) {
+    const cached = _attachmentUrls.get(attachment.id);
+    if (cached && cached.blob === attachment.blob) return cached.url;
+    if (cached) URL.revokeObjectURL(cached.url);
+    const url = URL.createObjectURL(attachment.blob);
+    _attachmentUrls.set(attachment.id, { blob: attachment.blob, url });
+    return url;
+}
+
+function formatAttachmentSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// A vault-unique file name; clipboard images (all called "image.png") get a timestamped one
+function getUniqueAttachmentName(name, type) {
+    let clean = (name || '').replace(/[\[\]|#^\\/:]/g, '-').trim();
+    if (!clean || /^image\.\w+$/i.test(clean)) {
+        const ext = ATTACHMENT_MIME_EXTENSIONS[type] || (clean.split('.').pop() || 'bin');
+        clean = `Pasted image ${formatTemplateDate(new Date(), 'YYYYMMDDHHmmss')}.${ext}`;
+    }
+    if (!findAttachment(clean)) return clean;
+
+    const dot = clean.lastIndexOf('.');
+    const base = dot > 0 ? clean.slice(0, dot) : clean;
+    const ext = dot > 0 ? clean.slice(dot) : '';
+    let n = 1;
+    while (findAttachment(`${base} ${n}${ext}`)) n++;
+    return `${base} ${n}${ext}`;
+}
+
+async function storeAttachment(blob, name) {
+    const attachment = {
+        id: generateId(),
+        name: getUniqueAttachmentName(name, blob.type),
+        type: blob.type || 'application/octet-stream',
+        size: blob.size,
+        blob,
+        created: new Date().toISOString()
+    };
+    await saveAttachment(attachment);
+    attachments.push(attachment);
+    return attachment;
+}
+
+// Store pasted/dropped files and reference them at the cursor
+async function insertAttachments(files) {
+    if (!editor || !currentNoteId) return;
+    const noteId = currentNoteId;
+    const from = editor.getCursor('from');
+    const to = editor.getCursor('to');
+
+    const stored = [];
+    for (const file of files) {
+        try {
+            stored.push(await storeAttachment(file, file.name));
+        } catch (error) {
+            console.error('Attachment error:', error);
+        }
+    }
+    if (stored.length === 0) {
+        showToast('Failed to store attachment');
+        return;
+    }
+
+    if (currentNoteId === noteId) {
+        editor.replaceRange(stored.map(a => `![[${a.name}]]`).join('\n'), from, to);
+        editor.focus();
+    }
+    showToast(stored.length === 1 ? `Attached ${stored[0].name}` : `Attached ${stored.length} files`);
+}
+
+// Pasted HTML keeps remote/data: image URLs; fetch them into attachments so the note works offline
+async function localizePastedImages(markdown) {
+    const noteId = currentNoteId;
+    const sources = new Set();
+    for (const match of markdown.matchAll(/!\[[^\]]*\]\(((?:https?:|data:)[^)\s]+)\)/g)) sources.add(match[1]);
+    if (sources.size === 0) return;
+
+    const replacements = new Map();
+    for (const src of sources) {
+        try {
+            const response = await fetch(src);
+            if (!response.ok) continue;
+            const blob = await response.blob();
+            if (!blob.type.startsWith('image/')) continue;
+            const urlName = src.startsWith('data:') ? '' : decodeURIComponent(new URL(src).pathname.split('/').pop() || '');
+            const attachment = await storeAttachment(blob, ATTACHMENT_EXTENSION_REGEX.test(urlName) ? urlName : '');
+            replacements.set(src, attachment.name);
+        } catch (error) {
+            // Offline or blocked by CORS — the remote URL stays
+        }
+    }
+
+    const failed = sources.size - replacements.size;
+    if (replacements.size > 0 && editor && currentNoteId === noteId) {
+        const content = editor.getValue();
+        const edits = [];
+        for (const match of content.matchAll(/!\[[^\]]*\]\(([^)\s]+)\)/g)) {
+            if (replacements.has(match[1])) {
+                edits.push({ from: match.index, to: match.index + match[0].length, text: `![[${replacements.get(match[1])}]]` });
+            }
+        }
+        editor.operation(() => {
+            edits.reverse().forEach(edit => {
+                editor.replaceRange(edit.text, editor.posFromIndex(edit.from), editor.posFromIndex(edit.to));
+            });
+        });
+    }
+    if (failed > 0) showToast(`${failed} pasted image${failed !== 1 ? 's' : ''} could not be saved offline`);
+}
+
+// ![[file]] in the preview: images inline, other files as a download chip
+function buildAttachmentEmbed(raw) {
+    const link = parseWikiLink(raw);
+    const attachment = findAttachment(link.target);
+
+    let element;
+    if (!attachment) {
+        element = document.createElement('span');
+        element.className = 'attachment-embed attachment-missing';
+        element.textContent = `Attachment not found: ${link.target}`;
+    } else if (attachment.type.startsWith('image/')) {
+        element = document.createElement('img');
+        element.className = 'attachment-embed';
+        element.src = getAttachmentUrl(attachment);
+        element.alt = attachment.name;
+        element.title = attachment.name;
+        // ![[image.png|300]] or ![[image.png|300x200]] sets the size
+        const size = link.display.match(/^(\d+)(?:x(\d+))?$/);
+        if (size) {
+            element.width = Number(size[1]);
+            if (size[2]) element.height = Number(size[2]);
+        }
+    } else {
+        element = document.createElement('a');
+        element.className = 'attachment-embed attachment-file';
+        element.href = getAttachmentUrl(attachment);
+        element.dataset.attachmentId = attachment.id;
+        element.textContent = `📎 ${link.display || attachment.name} (${formatAttachmentSize(attachment.size)})`;
+    }
+    element.dataset.embed = raw;
+    element.contentEditable = 'false';
+    return element;
+}
+
+// Markdown images like ![alt](photo.png) that name an attachment
+function resolveAttachmentImages(container) {
+    container.querySelectorAll('img:not(.attachment-embed)').forEach(img => {
+        const src = img.getAttribute('src') || '';
+        if (/^[a-z][a-z0-9+.-]*:/i.test(src)) return;
+        const attachment = findAttachment(src);
+        if (attachment) img.src = getAttachmentUrl(attachment);
+    });
+}
+
+function downloadAttachment(id) {
+    const attachment = attachments.find(a => a.id === id);
+    if (!attachment) return;
+    const a = document.createElement('a');
+    a.href = getAttachmentUrl(attachment);
+    a.download = attachment.name;
+    a.click();
+}
+
+// Attachment id → notes referencing it (live and trashed notes both count)
+function getAttachmentUsage() {
+    const usage = new Map(attachments.map(a => [a.id, { notes: [], trashed: 0 }]));
+    const trashedNotes = trash.filter(entry => entry.type === 'note').map(entry => entry.item);
+    const refRegex = /!?\[\[([^\]]+)\]\]|!?\[[^\]]*\]\(([^)\s]+)\)/g;
+
+    [...notes, ...trashedNotes].forEach(n => {
+        const isTrashed = !notes.includes(n);
+        const content = isTrashed ? n.content || '' : getLiveNoteContent(n);
+        const found = new Set();
+        for (const match of content.matchAll(refRegex)) {
+            const attachment = findAttachment(match[1] !== undefined ? parseWikiLink(match[1]).target : match[2]);
+            if (attachment) found.add(attachment.id);
+        }
+        found.forEach(id => {
+            if (isTrashed) usage.get(id).trashed++;
+            else usage.get(id).notes.push(n);
+        });
+    });
+    return usage;
+}
+
+function getUnusedAttachments() {
+    const usage = getAttachmentUsage();
+    return attachments.filter(a => {
+        const used = usage.get(a.id);
+        return used.notes.length === 0 && used.trashed === 0;
+    });
+}
+
+async function deleteAttachmentById(id) {
+    const attachment = attachments.find(a => a.id === id);
+    if (!attachment) return;
+    const used = getAttachmentUsage().get(id);
+    if ((used.notes.length > 0 || used.trashed > 0) &&
+        !confirm(`"${attachment.name}" is still used in ${used.notes.length + used.trashed} note(s). Delete it anyway?`)) {
+        return;
+    }
+
+    await deleteAttachment(id);
+    _removeAttachment(id);
+    renderAttachmentsManager();
+    if (currentNoteId) updatePreview();
+    showToast(`Deleted ${attachment.name}`);
+}
+
+async function deleteUnusedAttachments() {
+    const unused = getUnusedAttachments();
+    if (unused.length === 0) return;
+    const bytes = unused.reduce((sum, a) => sum + a.size, 0);
+    if (!confirm(`Delete ${unused.length} unused attachment${unused.length !== 1 ? 's' : ''} (${formatAttachmentSize(bytes)})? This can't be undone.`)) return;
+
+    for (const attachment of unused) {
+        await deleteAttachment(attachment.id);
+        _removeAttachment(attachment.id);
+    }
+    renderAttachmentsManager();
+    showToast(`Deleted ${unused.length} unused attachment${unused.length !== 1 ? 's' : ''}`);
+}
+
+function _removeAttachment(id) {
+    attachments = attachments.filter(a => a.id !== id);
+    const cached = _attachmentUrls.get(id);
+    if (cached) {
+        URL.revokeObjectURL(cached.url);
+        _attachmentUrls.delete(id);
+    }
+}
+
+function openAttachmentsManager() {
+    renderAttachmentsManager();
+    document.getElementById('attachmentsModal').classList.add('active');
+}
+
+function closeAttachmentsManager() {
+    document.getElementById('attachmentsModal').classList.remove('active');
+}
+
+function renderAttachmentsManager() {
+    const list = document.getElementById('attachmentsList');
+    if (!list) return;
+
+    const usage = getAttachmentUsage();
+    const unusedOnly = document.getElementById('attachmentsUnusedOnly').checked;
+    const unused = attachments.filter(a => usage.get(a.id).notes.length === 0 && usage.get(a.id).trashed === 0);
+    const totalBytes = attachments.reduce((sum, a) => sum + a.size, 0);
+
+    document.getElementById('attachmentsSummary').textContent = attachments.length === 0
+        ? 'No attachments yet — paste or drop files into a note.'
+        : `${attachments.length} attachment${attachments.length !== 1 ? 's' : ''}, ${formatAttachmentSize(totalBytes)} · ${unused.length} unused`;
+    const deleteUnusedBtn = document.getElementById('deleteUnusedAttachmentsBtn');
+    deleteUnusedBtn.disabled = unused.length === 0;
+    deleteUnusedBtn.textContent = unused.length > 0 ? `Delete ${unused.length} Unused` : 'Delete Unused';
+
+    list.innerHTML = '';
+    [...(unusedOnly ? unused : attachments)]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(attachment => {
+            const used = usage.get(attachment.id);
+            const item = document.createElement('div');
+            item.className = 'attachment-item';
+
+            const thumb = document.createElement(attachment.type.startsWith('image/') ? 'img' : 'span');
+            thumb.className = 'attachment-thumb';
+            if (thumb.tagName === 'IMG') thumb.src = getAttachmentUrl(attachment);
+            else thumb.textContent = '📎';
+
+            const info = document.createElement('div');
+            info.className = 'attachment-info';
+            const name = document.createElement('div');
+            name.className = 'attachment-name';
+            name.textContent = attachment.name;
+            name.title = 'Download';
+            name.onclick = () => downloadAttachment(attachment.id);
+            const meta = document.createElement('div');
+            meta.className = 'attachment-meta';
+            const usedIn = used.notes.length + used.trashed;
+            meta.textContent = `${formatAttachmentSize(attachment.size)} · ` +
+                (usedIn === 0 ? 'unused' : `used in ${usedIn} note${usedIn !== 1 ? 's' : ''}${used.trashed ? ` (${used.trashed} in trash)` : ''}`);
+            info.appendChild(name);
+            info.appendChild(meta);
+            used.notes.forEach(n => {
+                const source = document.createElement('div');
+                source.className = 'link-item';
+                source.textContent = `📄 ${n.title}`;
+                source.onclick = () => {
+                    closeAttachmentsManager();
+                    switchToTab(n.id);
+                };
+                info.appendChild(source);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'keybinding-remove-btn';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete attachment';
+            deleteBtn.onclick = () => deleteAttachmentById(attachment.id);
+
+            item.appendChild(thumb);
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, payload] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;,]*)/) || [])[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(payload) : decodeURIComponent(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+// JSON-safe copy for the vault export (the blob becomes a data: URL)
+async function serializeAttachment(attachment) {
+    const { blob, ...rest } = attachment;
+    return { ...rest, data: await blobToDataUrl(blob) };
+}
+
+function deserializeAttachment(data) {
+    const { data: dataUrl, ...rest } = data;
+    const blob = dataUrlToBlob(dataUrl);
+    return { ...rest, type: rest.type || blob.type, size: blob.size, blob };
+}
+
+// Export attachment functions
+window.openAttachmentsManager = openAttachmentsManager;
+window.closeAttachmentsManager = closeAttachmentsManager;
+window.renderAttachmentsManager = renderAttachmentsManager;
+window.deleteUnusedAttachments = deleteUnusedAttachments;
+
+/* ========== MARKDOWN EXPORT ========== */
+
+const EXPORT_ATTACHMENTS_DIR = 'attachments';
+
+let _mdExportSelection = new Set(); // Note ids picked for the "Selected notes" scope
+
+// CRC-32 (IEEE), as required by every ZIP entry
+const _crcTable = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build an uncompressed ("stored") ZIP from [{ path, data: Uint8Array, date }].
+// Paths ending in '/' are directory entries.
+function createZipBlob(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.path);
+        const data = entry.data || new Uint8Array(0);
+        const crc = crc32(data);
+        const date = entry.date || new Date();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+        local.setUint16(8, 0, true);            // method: stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // extra length
+        parts.push(local.buffer, name, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true);  // central directory signature
+        header.setUint16(4, 20, true);          // version made by
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(38, entry.path.endsWith('/') ? 0x10 : 0, true); // external attrs: directory
+        header.setUint32(42, offset, true);
+        central.push(header.buffer, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// A file or directory name that every common OS accepts
+function sanitizeFileName(name) {
+    let clean = (name || '')
+        .replace(/[\/\\?%*:|"<>\x00-\x1F]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, 120)
+        .trim();
+    if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(clean)) clean += '_';
+    return clean || 'Untitled';
+}
+
+// Wrap each highlight in ==text== or a coloured <mark>; mode 'none' leaves content as is
+function applyHighlightsForExport(content, highlights, mode) {
+    if (mode === 'none' || !highlights || highlights.length === 0) return content;
+    const ranges = highlights
+        .filter(h => h.from < h.to && content.slice(h.from, h.to) === h.text)
+        .sort((a, b) => a.from - b.from)
+        .filter((h, i, list) => i === 0 || h.from >= list[i - 1].to);
+
+    let result = content;
+    [...ranges].reverse().forEach(h => {
+        const text = content.slice(h.from, h.to);
+        const wrapped = mode === 'html'
+            ? `<mark style="background: ${h.color}">${text}</mark>`
+            : `==${text}==`;
+        result = result.slice(0, h.from) + wrapped + result.slice(h.to);
+    });
+    return result;
+}
+
+// Fill in created/modified/tags/aliases without overriding keys the note already sets.
+// The note's own block is kept as written; missing keys go just before its closing ---.
+function addExportFrontmatter(content, note) {
+    const { properties, block, unparsed } = parseFrontmatter(content);
+    // Can't tell for sure which keys YAML we don't read defines, so leave it alone
+    if (unparsed.length > 0) return content;
+
+    const missing = {};
+    if (!('created' in properties) && note.created) missing.created = note.created;
+    if (!('modified' in properties) && note.modified) missing.modified = note.modified;
+    if (!('tags' in properties) && note.tags && note.tags.length > 0) missing.tags = [...note.tags];
+    if (!('aliases' in properties) && note.aliases && note.aliases.length > 0) missing.aliases = [...note.aliases];
+    if (Object.keys(missing).length === 0) return content;
+    if (!block) return serializeFrontmatter(missing) + content;
+
+    const lines = Object.keys(missing).map(key => formatYamlProperty(key, missing[key])).join('\n');
+    const closing = block.length - block.match(/---[ \t]*(?:\r?\n)?$/)[0].length;
+    return content.slice(0, closing) + lines + '\n' + content.slice(closing);
+}
+
+// Notes (and the folder their paths are relative to) for an export scope
+function getMarkdownExportSet(scope, folderId) {
+    if (scope === 'folder') {
+        const folder = folders.find(f => f.id === folderId);
+        if (!folder) return { notes: [], folders: [], baseFolderId: null };
+        const folderIds = new Set([folder.id, ...getAllSubfolders(folder.id)]);
+        return {
+            notes: notes.filter(n => folderIds.has(n.folderId)),
+            folders: folders.filter(f => folderIds.has(f.id)),
+            baseFolderId: folder.parentFolderId || null
+        };
+    }
+    if (scope === 'notes') {
+        return { notes: notes.filter(n => _mdExportSelection.has(n.id)), folders: [], baseFolderId: null };
+    }
+    return { notes: [...notes], folders: [...folders], baseFolderId: null };
+}
+
+// Directory path inside the ZIP for a folder, relative to baseFolderId ('' at the base)
+function _exportFolderPath(folderId, baseFolderId, dirNames) {
+    const chain = getFolderChain(folderId);
+    const baseIndex = baseFolderId ? chain.findIndex(f => f.id === baseFolderId) : -1;
+    return chain.slice(baseIndex + 1).map(f => dirNames.get(f.id)).join('/');
+}
+
+// Unique, sanitized names per directory: folders first, then notes
+function _assignExportNames(exportFolders, exportNotes) {
+    const taken = new Map(); // parent key → Set of lowercased names
+    const claim = (parentKey, name, ext) => {
+        if (!taken.has(parentKey)) taken.set(parentKey, new Set());
+        const used = taken.get(parentKey);
+        let candidate = name;
+        for (let n = 2; used.has((candidate + ext).toLowerCase()); n++) candidate = `${name} (${n})`;
+        used.add((candidate + ext).toLowerCase());
+        return candidate + ext;
+    };
+
+    const dirNames = new Map();
+    [...exportFolders]
+        .sort((a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name))
+        .forEach(f => dirNames.set(f.id, claim(`f:${f.parentFolderId || ''}`, sanitizeFileName(f.name), '')));
+    const fileNames = new Map();
+    [...exportNotes]
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .forEach(n => fileNames.set(n.id, claim(`f:${n.folderId || ''}`, sanitizeFileName(n.title), '.md')));
+    return { dirNames, fileNames };
+}
+
+// options: { scope, folderId, highlights, frontmatter, attachments, standardImages }
+async function buildMarkdownExport(options) {
+    const set = getMarkdownExportSet(options.scope, options.folderId);
+    const encoder = new TextEncoder();
+
+    // Selected notes keep their full folder path, so every folder on it is named
+    const pathFolders = options.scope === 'notes'
+        ? folders.filter(f => set.notes.some(n => getFolderChain(n.folderId).some(c => c.id === f.id)))
+        : set.folders;
+    const { dirNames, fileNames } = _assignExportNames(pathFolders, set.notes);
+    const entries = [];
+
+    // Directory entries keep empty folders in the tree
+    set.folders.forEach(f => {
+        entries.push({ path: `${_exportFolderPath(f.id, set.baseFolderId, dirNames)}/`, date: new Date(f.created || Date.now()) });
+    });
+
+    // Attachments: everything for a vault export, otherwise what the exported notes use
+    let exportAttachments = [];
+    if (options.attachments) {
+        if (options.scope === 'vault') {
+            exportAttachments = [...attachments];
+        } else {
+            const usage = getAttachmentUsage();
+            exportAttachments = attachments.filter(a => usage.get(a.id).notes.some(n => set.notes.includes(n)));
+        }
+    }
+    const exported = new Set(exportAttachments.map(a => a.id));
+
+    const current = notes.find(n => n.id === currentNoteId);
+    if (current) syncHighlightPositionsFromMarkers(current);
+
+    set.notes.forEach(note => {
+        const dir = _exportFolderPath(note.folderId, set.baseFolderId, dirNames);
+        let content = applyHighlightsForExport(getLiveNoteContent(note), note.highlights, options.highlights);
+
+        if (options.standardImages) {
+            const depth = dir ? dir.split('/').length : 0;
+            const prefix = '../'.repeat(depth) + EXPORT_ATTACHMENTS_DIR + '/';
+            content = content.replace(/!\[\[([^\]]+)\]\]/g, (match, raw) => {
+                const link = parseWikiLink(raw);
+                const attachment = isAttachmentEmbed(raw) ? findAttachment(link.target) : null;
+                if (!attachment || !exported.has(attachment.id)) return match;
+                const href = prefix + encodeURIComponent(sanitizeFileName(attachment.name));
+                return attachment.type.startsWith('image/')
+                    ? `![${link.display && !/^\d+(x\d+)?$/.test(link.display) ? link.display : attachment.name}](${href})`
+                    : `[${link.display || attachment.name}](${href})`;
+            });
+        }
+        if (options.frontmatter) content = addExportFrontmatter(content, note);
+
+        entries.push({
+            path: (dir ? `${dir}/` : '') + fileNames.get(note.id),
+            data: encoder.encode(content),
+            date: new Date(note.modified || note.created || Date.now())
+        });
+    });
+
+    if (exportAttachments.length > 0) {
+        entries.push({ path: `${EXPORT_ATTACHMENTS_DIR}/` });
+        for (const attachment of exportAttachments) {
+            entries.push({
+                path: `${EXPORT_ATTACHMENTS_DIR}/${sanitizeFileName(attachment.name)}`,
+                data: new Uint8Array(await attachment.blob.arrayBuffer()),
+                date: new Date(attachment.created || Date.now())
+            });
+        }
+    }
+
+    return { blob: createZipBlob(entries), noteCount: set.notes.length, attachmentCount: exportAttachments.length };
+}
+
+// preset: { folderId } or { noteIds } to open on that scope
+function openMarkdownExport(preset = {}) {
+    const scope = preset.folderId ? 'folder' : preset.noteIds ? 'notes' : 'vault';
+    _mdExportSelection = new Set(preset.noteIds || (currentNoteId ? [currentNoteId] : []));
+
+    const folderSelect = document.getElementById('mdExportFolder');
+    folderSelect.innerHTML = '';
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            folderSelect.appendChild(option);
+        });
+    if (preset.folderId) folderSelect.value = preset.folderId;
+
+    const saved = settings.markdownExport || {};
+    document.getElementById('mdExportScope').value = scope;
+    document.getElementById('mdExportHighlights').value = saved.highlights || 'markdown';
+    document.getElementById('mdExportFrontmatter').checked = saved.frontmatter !== false;
+    document.getElementById('mdExportAttachments').checked = saved.attachments !== false;
+    document.getElementById('mdExportStandardImages').checked = !!saved.standardImages;
+    document.getElementById('mdExportNoteFilter').value = '';
+
+    renderMarkdownExportScope();
+    document.getElementById('markdownExportModal').classList.add('active');
+}
+
+function closeMarkdownExport() {
+    document.getElementById('markdownExportModal').classList.remove('active');
+}
+
+function renderMarkdownExportScope() {
+    const scope = document.getElementById('mdExportScope').value;
+    document.getElementById('mdExportFolderRow').style.display = scope === 'folder' ? '' : 'none';
+    document.getElementById('mdExportNotesRow').style.display = scope === 'notes' ? '' : 'none';
+    if (scope === 'notes') renderMarkdownExportNotes();
+    updateMarkdownExportSummary();
+}
+
+function renderMarkdownExportNotes() {
+    const list = document.getElementById('mdExportNoteList');
+    const query = document.getElementById('mdExportNoteFilter').value.trim();
+    list.innerHTML = '';
+
+    notes
+        .map(n => ({ note: n, path: getNoteLinkPath(n) }))
+        .filter(({ path }) => !query || fuzzyMatch(query, path))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(({ note, path }) => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label md-export-note';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = _mdExportSelection.has(note.id);
+            checkbox.onchange = () => {
+                if (checkbox.checked) _mdExportSelection.add(note.id);
+                else _mdExportSelection.delete(note.id);
+                updateMarkdownExportSummary();
+            };
+            const text = document.createElement('span');
+            text.textContent = path;
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            list.appendChild(label);
+        });
+}
+
+function updateMarkdownExportSummary() {
+    const scope = document.getElementById('mdExportScope').value;
+    const set = getMarkdownExportSet(scope, document.getElementById('mdExportFolder').value);
+    const count = set.notes.length;
+    document.getElementById('mdExportSummary').textContent = `${count} note${count !== 1 ? 's' : ''} will be exported`;
+    document.getElementById('mdExportConfirmBtn').disabled = count === 0;
+}
+
+async function confirmMarkdownExport() {
+    const options = {
+        scope: document.getElementById('mdExportScope').value,
+        folderId: document.getElementById('mdExportFolder').value,
+        highlights: document.getElementById('mdExportHighlights').value,
+        frontmatter: document.getElementById('mdExportFrontmatter').checked,
+        attachments: document.getElementById('mdExportAttachments').checked,
+        standardImages: document.getElementById('mdExportStandardImages').checked
+    };
+    settings.markdownExport = {
+        highlights: options.highlights,
+        frontmatter: options.frontmatter,
+        attachments: options.attachments,
+        standardImages: options.standardImages
+    };
+    saveSettings();
+
+    try {
+        const { blob, noteCount, attachmentCount } = await buildMarkdownExport(options);
+        const folder = folders.find(f => f.id === options.folderId);
+        const label = options.scope === 'folder' && folder ? sanitizeFileName(folder.name) : options.scope === 'notes' ? 'notes' : 'vault';
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `storyroot-${label}-${formatTemplateDate(new Date(), 'YYYY-MM-DD')}.zip`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        closeMarkdownExport();
+        showToast(`Exported ${noteCount} note${noteCount !== 1 ? 's' : ''}` +
+            (attachmentCount ? ` and ${attachmentCount} attachment${attachmentCount !== 1 ? 's' : ''}` : ''));
+    } catch (error) {
+        console.error('Markdown export error:', error);
+        showToast('Failed to export notes');
+    }
+}
+
+// Export markdown export functions
+window.openMarkdownExport = openMarkdownExport;
+window.closeMarkdownExport = closeMarkdownExport;
+window.renderMarkdownExportScope = renderMarkdownExportScope;
+window.renderMarkdownExportNotes = renderMarkdownExportNotes;
+window.updateMarkdownExportSummary = updateMarkdownExportSummary;
+window.confirmMarkdownExport = confirmMarkdownExport;
+
+/* ========== MARKDOWN IMPORT ========== */
+
+const IMPORT_NOTE_REGEX = /\.(md|markdown|txt)$/i;
+const IMPORT_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    bmp: 'image/bmp',
+    pdf: 'application/pdf'
+};
+
+let _pendingImport = null; // { files: [{ path, blob, lastModified }] } read from the chosen source
+
+async function _inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP files');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Files in a ZIP archive as [{ path, blob, lastModified }]. Handles stored and
+// deflated entries; directories, encrypted entries and ZIP64 archives are skipped.
+async function readZipEntries(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    // The end-of-central-directory record sits in the last 64 KB (after an optional comment)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error(`${file.name} is not a ZIP archive`);
+
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const utf8 = new TextDecoder('utf-8');
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(ptr, true) !== 0x02014B50) throw new Error(`${file.name} is damaged`);
+        const flags = view.getUint16(ptr + 8, true);
+        const method = view.getUint16(ptr + 10, true);
+        const dosTime = view.getUint16(ptr + 12, true);
+        const dosDate = view.getUint16(ptr + 14, true);
+        const compressedSize = view.getUint32(ptr + 20, true);
+        const nameLength = view.getUint16(ptr + 28, true);
+        const extraLength = view.getUint16(ptr + 30, true);
+        const commentLength = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const path = utf8.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLength));
+        ptr += 46 + nameLength + extraLength + commentLength;
+
+        const encrypted = flags & 1;
+        if (path.endsWith('/') || encrypted || compressedSize === 0xFFFFFFFF) continue;
+        if (method !== 0 && method !== 8) continue;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? await _inflateRaw(raw) : raw;
+        const lastModified = new Date(
+            (dosDate >> 9) + 1980, ((dosDate >> 5) & 0xF) - 1, dosDate & 0x1F,
+            dosTime >> 11, (dosTime >> 5) & 0x3F, (dosTime & 0x1F) * 2
+        ).getTime();
+        entries.push({ path, blob: new Blob([data]), lastModified });
+    }
+    return entries;
+}
+
+function _normalizeImportPath(path) {
+    const parts = [];
+    path.replace(/\\/g, '/').split('/').forEach(seg => {
+        if (!seg || seg === '.') return;
+        if (seg === '..') parts.pop();
+        else parts.push(seg);
+    });
+    return parts.join('/');
+}
+
+// Hidden files, macOS resource forks and the like
+function _isIgnoredImportPath(path) {
+    return path.split('/').some(seg => seg.startsWith('.') || seg === '__MACOSX');
+}
+
+function _importBaseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function _importDir(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+function _slugifyHeading(text) {
+    return text.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+}
+
+function openMarkdownImport() {
+    _pendingImport = null;
+    const target = document.getElementById('mdImportTarget');
+    target.innerHTML = '<option value="">Vault root</option>';
+    folders
+        .map(f => ({ id: f.id, path: getFolderChain(f.id).map(c => c.name).join('/') }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.path;
+            target.appendChild(option);
+        });
+    document.getElementById('mdImportSummary').textContent = 'Choose Markdown or text files, a folder, or a ZIP archive.';
+    document.getElementById('mdImportConfirmBtn').disabled = true;
+    document.getElementById('markdownImportModal').classList.add('active');
+}
+
+function closeMarkdownImport() {
+    document.getElementById('markdownImportModal').classList.remove('active');
+    _pendingImport = null;
+}
+
+async function loadMarkdownImport(fileList) {
+    const picked = Array.from(fileList || []);
+    if (picked.length === 0) return;
+    const summary = document.getElementById('mdImportSummary');
+    const confirmBtn = document.getElementById('mdImportConfirmBtn');
+    summary.textContent = 'Reading files…';
+    confirmBtn.disabled = true;
+
+    try {
+        const files = [];
+        for (const file of picked) {
+            if (/\.zip$/i.test(file.name)) {
+                files.push(...await readZipEntries(file));
+            } else {
+                files.push({ path: file.webkitRelativePath || file.name, blob: file, lastModified: file.lastModified });
+            }
+        }
+        const usable = files
+            .map(f => ({ ...f, path: _normalizeImportPath(f.path) }))
+            .filter(f => f.path && !_isIgnoredImportPath(f.path));
+        _pendingImport = { files: usable };
+
+        const noteCount = usable.filter(f => IMPORT_NOTE_REGEX.test(f.path)).length;
+        const otherCount = usable.length - noteCount;
+        const dirs = new Set(usable.filter(f => IMPORT_NOTE_REGEX.test(f.path)).map(f => _importDir(f.path)).filter(Boolean));
+        summary.textContent = noteCount === 0
+            ? 'No Markdown or text files found.'
+            : `Found ${noteCount} note${noteCount !== 1 ? 's' : ''} in ${dirs.size} folder${dirs.size !== 1 ? 's' : ''}` +
+              (otherCount ? `, plus ${otherCount} other file${otherCount !== 1 ? 's' : ''} (imported as attachments when a note uses them)` : '');
+        confirmBtn.disabled = noteCount === 0;
+    } catch (error) {
+        console.error('Markdown import error:', error);
+        _pendingImport = null;
+        summary.textContent = `Could not read the files: ${error.message}`;
+    } finally {
+        ['mdImportFiles', 'mdImportFolder', 'mdImportZip'].forEach(id => { document.getElementById(id).value = ''; });
+    }
+}
+
+// First frontmatter date among keys, as an ISO string
+function _importDate(properties, keys) {
+    for (const key of keys) {
+        const value = properties[key];
+        if (!value || typeof value === 'boolean') continue;
+        const date = new Date(value);
+        if (!isNaN(date)) return date.toISOString();
+    }
+    return null;
+}
+
+// Read note files into { file, dir, text, title, aliases, created, modified }
+async function _readImportNotes(noteFiles, titleFrom) {
+    const result = [];
+    for (const file of noteFiles) {
+        const text = (await file.blob.text()).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const { properties, body } = parseFrontmatter(text);
+        const fileTitle = _importBaseName(file.path).replace(IMPORT_NOTE_REGEX, '').trim() || 'Untitled Note';
+        const heading = (body.match(/^#\s+(.+?)\s*#*\s*$/m) || [])[1];
+
+        let title = fileTitle;
+        if (typeof properties.title === 'string' && properties.title.trim()) title = properties.title.trim();
+        else if (titleFrom === 'heading' && heading) title = heading;
+
+        // Links written against the file name keep resolving
+        const aliases = [].concat(properties.aliases || properties.alias || [])
+            .map(alias => String(alias).trim())
+            .filter(Boolean);
+        if (title !== fileTitle && !aliases.includes(fileTitle)) aliases.push(fileTitle);
+
+        const fileDate = new Date(file.lastModified || Date.now()).toISOString();
+        const created = _importDate(properties, ['created', 'date', 'created_at', 'creation_date']) || fileDate;
+        const modified = _importDate(properties, ['modified', 'updated', 'last_modified', 'lastmod']) || fileDate;
+        result.push({ file, dir: _importDir(file.path), text, title, aliases, created, modified });
+    }
+    return result;
+}
+
+// Rewrite Markdown links to imported notes as [[wiki links]] and file references as ![[attachments]].
+// resolveFile(ref, dir) → import file entry or null; notesByPath maps a file path to its note
+// entry, whose linkTarget is the name to link it by; getAttachment(file) → stored attachment
+function _rewriteImportLinks(entry, resolveFile, notesByPath, getAttachment) {
+    let text = entry.text.replace(/!\[\[([^\]]+)\]\]/g, (match, raw) => {
+        const pipe = raw.indexOf('|');
+        const target = pipe === -1 ? raw : raw.slice(0, pipe);
+        const file = resolveFile(target.trim(), entry.dir);
+        const attachment = file && getAttachment(file);
+        return attachment ? `![[${attachment.name}${pipe === -1 ? '' : raw.slice(pipe)}]]` : match;
+    });
+
+    text = text.replace(/(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, bang, label, href) => {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) return match;
+        const hashIndex = href.indexOf('#');
+        const pathPart = hashIndex === -1 ? href : href.slice(0, hashIndex);
+        const fragment = hashIndex === -1 ? '' : href.slice(hashIndex + 1);
+        const file = resolveFile(pathPart, entry.dir);
+        if (!file) return match;
+
+        const linked = notesByPath.get(file.path.toLowerCase());
+        if (linked) {
+            if (bang) return match;
+            // #my-heading slugs point back at the heading text
+            const headingText = fragment
+                ? (parseHeaders(linked.text).find(h => _slugifyHeading(h.text) === _slugifyHeading(decodeURIComponent(fragment))) || {}).text
+                : '';
+            const target = linked.linkTarget + (headingText ? `#${headingText}` : '');
+            // A label matching the title is kept when the link needs its folder path
+            const display = label && label !== linked.linkTarget ? label : '';
+            return display ? `[[${target}|${display}]]` : `[[${target}]]`;
+        }
+
+        const attachment = getAttachment(file);
+        if (!attachment) return match;
+        if (bang) return `![[${attachment.name}]]`;
+        return `![[${attachment.name}${label && label !== attachment.name ? '|' + label : ''}]]`;
+    });
+    return text;
+}
+
+async function confirmMarkdownImport() {
+    if (!_pendingImport) return;
+    const targetFolderId = document.getElementById('mdImportTarget').value || null;
+    const titleFrom = document.getElementById('mdImportTitleFrom').value;
+    const files = [..._pendingImport.files].sort((a, b) => a.path.localeCompare(b.path));
+    const confirmBtn = document.getElementById('mdImportConfirmBtn');
+    confirmBtn.disabled = true;
+
+    try {
+        const byPath = new Map(files.map(f => [f.path.toLowerCase(), f]));
+        const byName = new Map();
+        files.forEach(f => {
+            const name = _importBaseName(f.path).toLowerCase();
+            if (!byName.has(name)) byName.set(name, f);
+        });
+        // A reference relative to the note, from the import root, or (Obsidian-style) by bare file name
+        const resolveFile = (ref, dir) => {
+            let decoded = ref;
+            try { decoded = decodeURIComponent(ref); } catch (e) {}
+            const candidates = [_normalizeImportPath(dir ? `${dir}/${decoded}` : decoded), _normalizeImportPath(decoded)];
+            for (const path of candidates) {
+                const file = byPath.get(path.toLowerCase()) || byPath.get(`${path}.md`.toLowerCase());
+                if (file) return file;
+            }
+            return byName.get(_importBaseName(decoded).toLowerCase()) || null;
+        };
+
+        const entries = await _readImportNotes(files.filter(f => IMPORT_NOTE_REGEX.test(f.path)), titleFrom);
+        const notesByPath = new Map(entries.map(e => [e.file.path.toLowerCase(), e]));
+
+        // Only files a note actually uses become attachments
+        const stored = new Map();
+        const getAttachment = (file) => stored.get(file.path) || null;
+        for (const entry of entries) {
+            const refs = [
+                ...[...entry.text.matchAll(/!\[\[([^\]|]+)/g)].map(m => m[1].trim()),
+                ...[...entry.text.matchAll(/\]\(\s*<?([^)\s>#]+)/g)].map(m => m[1])
+            ];
+            for (const ref of refs) {
+                if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) continue;
+                const file = resolveFile(ref, entry.dir);
+                if (!file || IMPORT_NOTE_REGEX.test(file.path) || stored.has(file.path)) continue;
+                const ext = (file.path.split('.').pop() || '').toLowerCase();
+                const blob = file.blob.type ? file.blob : new Blob([file.blob], { type: IMPORT_MIME_TYPES[ext] || 'application/octet-stream' });
+                stored.set(file.path, await storeAttachment(blob, _importBaseName(file.path)));
+            }
+        }
+
+        // Folder hierarchy under the target folder
+        const folderIds = new Map([['', targetFolderId]]);
+        let createdFolders = 0;
+        const getFolderId = async (dir) => {
+            if (folderIds.has(dir)) return folderIds.get(dir);
+            const parentId = await getFolderId(_importDir(dir));
+            const name = _importBaseName(dir);
+            let folder = folders.find(f => (f.parentFolderId || null) === parentId && f.name.toLowerCase() === name.toLowerCase());
+            if (!folder) {
+                folder = { id: generateId(), name, parentFolderId: parentId, collapsed: false, order: Date.now() + folders.length };
+                folders.push(folder);
+                await saveFolder(folder);
+                createdFolders++;
+            }
+            folderIds.set(dir, folder.id);
+            return folder.id;
+        };
+
+        // Folders first, so a title shared with another note can be linked by its folder path
+        for (const entry of entries) entry.folderId = await getFolderId(entry.dir);
+        const resolveName = createNameResolver([...notes, ...entries]);
+        entries.forEach(entry => {
+            entry.linkTarget = resolveName(entry.title) === entry ? entry.title : getNoteLinkPath(entry);
+        });
+
+        let order = Date.now();
+        for (const entry of entries) {
+            const content = _rewriteImportLinks(entry, resolveFile, notesByPath, getAttachment);
+            const note = {
+                id: generateId(),
+                title: entry.title,
+                content,
+                folderId: entry.folderId,
+                tags: extractTags(content),
+                links: extractLinks(content),
+                aliases: entry.aliases,
+                highlights: [],
+                order: order++,
+                created: entry.created,
+                modified: entry.modified
+            };
+            notes.push(note);
+            await saveNote(note);
+        }
+
+        const target = folders.find(f => f.id === targetFolderId);
+        if (target && target.collapsed) {
+            target.collapsed = false;
+            await saveFolder(target);
+        }
+
+        closeMarkdownImport();
+        renderFileExplorer();
+        showToast(`Imported ${entries.length} note${entries.length !== 1 ? 's' : ''}` +
+            (createdFolders ? `, ${createdFolders} folder${createdFolders !== 1 ? 's' : ''}` : '') +
+            (stored.size ? `, ${stored.size} attachment${stored.size !== 1 ? 's' : ''}` : ''));
+    } catch (error) {
+        console.error('Markdown import error:', error);
+        showToast('Failed to import notes');
+        confirmBtn.disabled = false;
+    }
+}
+
+// Export markdown import functions
+window.openMarkdownImport = openMarkdownImport;
+window.closeMarkdownImport = closeMarkdownImport;
+window.loadMarkdownImport = loadMarkdownImport;
+window.confirmMarkdownImport = confirmMarkdownImport;